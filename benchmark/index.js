@@ -0,0 +1,72 @@
+'use strict';
+
+// LZSS compression throughput on the test corpora, compared with the 1.3.0 build.
+// Usage: node benchmark [level]
+
+var lzjs = require('../lzjs');
+// lzjs.min.js is the 1.3.0 build that has no levels and no method option,
+// so its times are of LZSS only where the type is S.
+var baseline = require('../lzjs.min');
+var fs = require('fs');
+var path = require('path');
+
+var level = process.argv[2] ? +process.argv[2] : void 0;
+var options = { method: 'lzss', level: level };
+var corpora = {};
+var i, s;
+
+s = '';
+for (i = 0; i <= 0xffff; i++) {
+  s += String.fromCharCode(i);
+}
+corpora.unicode = s;
+
+s = '';
+for (i = 0; i <= 0xffff; i++) {
+  s += String.fromCharCode(~~(Math.random() * (0xffff + 1)));
+}
+corpora.random = s;
+
+corpora.bits = new Array(60 * 61 * 10).join('a');
+corpora.unicodeBits = new Array(60 * 61 * 5).join('aあ');
+corpora.hello = new Array(10000).join('Hello World.');
+corpora.code = new Array(5).join(
+  fs.readFileSync(path.join(__dirname, '../tests/test.js'), 'utf8'));
+corpora.source = fs.readFileSync(path.join(__dirname, '../lzjs.js'), 'utf8') +
+  new Array(100).join('あいうえお');
+
+function measure(fn) {
+  var count = 0;
+  var start = Date.now();
+  var elapsed;
+
+  do {
+    fn();
+    count++;
+    elapsed = Date.now() - start;
+  } while (elapsed < 1000);
+
+  return elapsed / count;
+}
+
+function format(data, compressed, time) {
+  return compressed.length + ' chars (' + compressed.charAt(0) + '), ' +
+    (data.length / time / 1000).toFixed(2) + ' M chars/sec';
+}
+
+console.log('level: ' + (level || 'default'));
+Object.keys(corpora).forEach(function(name) {
+  var data = corpora[name];
+  var compressed = lzjs.compress(data, options);
+  var time = measure(function() {
+    lzjs.compress(data, options);
+  });
+  var baseCompressed = baseline.compress(data);
+  var baseTime = measure(function() {
+    baseline.compress(data);
+  });
+
+  console.log(name + ': ' + data.length + ' chars');
+  console.log('  1.3.0:   ' + format(data, baseCompressed, baseTime));
+  console.log('  current: ' + format(data, compressed, time));
+});
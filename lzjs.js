@@ -57,12 +57,6 @@
   var APPLY_BUFFER_SIZE = 65533;
   var APPLY_BUFFER_SIZE_OK = null;
 
-  // IE has bug of String.prototype.lastIndexOf when second argument specified.
-  var STRING_LASTINDEXOF_BUG = false;
-  if ('abc\u307b\u3052'.lastIndexOf('\u307b\u3052', 1) !== -1) {
-    STRING_LASTINDEXOF_BUG = true;
-  }
-
   var TABLE = (function() {
     var table = '';
     var esc = {
@@ -92,12 +86,42 @@
   // Sliding Window
   var WINDOW_MAX = 1024;
   var WINDOW_BUFFER_MAX = 304; // maximum 304
+  var WINDOW_LIMIT = 32768; // maximum window of the levels
+
+  // Parsing of LZSS tokens
+  var PARSE_GREEDY = 0;
+  var PARSE_LAZY = 1; // Checks whether the match at the next position is better
+  var PARSE_OPTIMAL = 2; // Cost-based optimal parsing
+  var OPTIMAL_BLOCK_SIZE = 0x10000;
+  var OPTIMAL_MIN_BLOCK_SIZE = 0x1000; // Small writes are parsed together
+  var COST_MAX = 0x7fffffff;
+
+  // Compression levels:
+  //   [window, match length to stop searching, maximum hash chain length, parsing]
+  var LEVELS = [
+    null,
+    [128, 8, 0, PARSE_GREEDY],
+    [256, 16, 0, PARSE_GREEDY],
+    [WINDOW_BUFFER_MAX, 32, 0, PARSE_GREEDY],
+    [WINDOW_BUFFER_MAX, 64, 0, PARSE_GREEDY],
+    [WINDOW_BUFFER_MAX, BUFFER_MAX, 0, PARSE_GREEDY],
+    [1024, BUFFER_MAX, 256, PARSE_LAZY],
+    [4096, BUFFER_MAX, 512, PARSE_LAZY],
+    [16384, BUFFER_MAX, 1024, PARSE_LAZY],
+    [WINDOW_LIMIT, BUFFER_MAX, 4096, PARSE_OPTIMAL]
+  ];
+  var DEFAULT_LEVEL = 5;
+
+  // Hash chains
+  var HASH_BITS = 16;
+  var HASH_SIZE = 1 << HASH_BITS;
+  var HASH_MASK = HASH_SIZE - 1;
 
   // Chunk buffer length
   var COMPRESS_CHUNK_SIZE = APPLY_BUFFER_SIZE;
   var COMPRESS_CHUNK_MAX = COMPRESS_CHUNK_SIZE - TABLE_LENGTH;
   var DECOMPRESS_CHUNK_SIZE = APPLY_BUFFER_SIZE;
-  var DECOMPRESS_CHUNK_MAX = DECOMPRESS_CHUNK_SIZE + WINDOW_MAX * 2;
+  var ASYNC_CHUNK_SIZE = COMPRESS_CHUNK_MAX;
 
   // Unicode table : U+0000 - U+0084
   var LATIN_CHAR_MAX = 11;
@@ -119,6 +143,137 @@
   var COMPRESS_START = CHAR_START + 1;
   var COMPRESS_FIXED_START = COMPRESS_START + 5;
   var COMPRESS_INDEX = COMPRESS_FIXED_START + 5; // 59
+  var COMPRESS_FAR_START = COMPRESS_INDEX;
+  var COMPRESS_FAR_INDEX = COMPRESS_FAR_START + 8; // 67
+  var COMPRESS_PARAMS = COMPRESS_FAR_INDEX;
+  var COMPRESS_DICTIONARY = COMPRESS_PARAMS + 1;
+  var COMPRESS_LONG = COMPRESS_DICTIONARY + 1; // Extended length of the next match
+  var LONG_LENGTH_MAX = BUFFER_MAX + BUFFER_MAX * BUFFER_MAX - 1;
+  var DICTIONARY_ID_LENGTH = 5; // Adler-32 in base BUFFER_MAX
+
+  // Huffman coding of the LZSS tokens
+  var HUFFMAN_END = TABLE_LENGTH; // End of the codes
+  var HUFFMAN_SYMBOLS = TABLE_LENGTH + 1;
+  var HUFFMAN_MAX_BITS = 15;
+  var HUFFMAN_MIN_LENGTH = 128; // The code lengths are about 40 - 70 characters
+  var HUFFMAN_CONTINUE = -1; // The code needs more bits
+  var HUFFMAN_INVALID = -2; // No code has the bits
+
+  // PPM of the UTF-8 bytes
+  var PPM_ORDER = 4; // Maximum number of the previous bytes in the context
+  var PPM_END = 256; // End of the data
+  var PPM_SYMBOLS = 257;
+  var PPM_MAX_TOTAL = 0x3fff; // The counts are halved beyond this
+  var PPM_MAX_CONTEXTS = 0x100000; // The model is reset beyond this
+  var PPM_LOOKAHEAD = 32; // Bytes of the range coder that a symbol can read
+
+  // Range coder
+  var RANGE_TOP = 0x1000000;
+  var RANGE_CARRY = 0x100000000;
+
+  // Deflate (RFC 1951) and zlib (RFC 1950)
+  var DEFLATE_WINDOW = 32768;
+  var DEFLATE_MIN_MATCH = 3;
+  var DEFLATE_MAX_MATCH = 258;
+  var DEFLATE_TOO_FAR = 4096; // Matches of the minimum length beyond this cost more than literals
+  var DEFLATE_BLOCK_SIZE = 16384; // Number of the symbols in a block
+  var DEFLATE_STORED_MAX = 65535;
+  var DEFLATE_END = 256;
+  var DEFLATE_LITERALS = 286;
+  var DEFLATE_DISTANCES = 30;
+  var DEFLATE_CODE_LENGTHS = 19;
+  var DEFLATE_CODE_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+  var DEFLATE_LENGTH_BASE = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+  ];
+  var DEFLATE_LENGTH_EXTRA = [
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+  ];
+  var DEFLATE_DISTANCE_BASE = [
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+  ];
+  var DEFLATE_DISTANCE_EXTRA = [
+    0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+  ];
+
+  // Compression levels of zlib:
+  //   [match length to stop searching, maximum hash chain length, parsing]
+  var DEFLATE_LEVELS = [
+    null,
+    [8, 4, PARSE_GREEDY],
+    [16, 8, PARSE_GREEDY],
+    [32, 32, PARSE_GREEDY],
+    [16, 16, PARSE_LAZY],
+    [32, 32, PARSE_LAZY],
+    [128, 128, PARSE_LAZY],
+    [128, 256, PARSE_LAZY],
+    [DEFLATE_MAX_MATCH, 1024, PARSE_LAZY],
+    [DEFLATE_MAX_MATCH, 4096, PARSE_LAZY]
+  ];
+  var DEFLATE_DEFAULT_LEVEL = 6;
+
+  // Header of the format version
+  var HEADER_MAGIC = '\u001fLZ';
+  var FORMAT_VERSION = 1;
+  var HEADER_CHECKSUM = 1;
+  var HEADER_DICTIONARY = 2;
+  var HEADER_LEVEL_SHIFT = 2;
+  var HEADER_LEVEL_MASK = 15;
+
+  // Types of the compression methods
+  var METHODS = {
+    lzss: 'S',
+    'lzss-huffman': 'H',
+    lzw: 'W',
+    'lzw-utf8': 'U',
+    ppm: 'M',
+    none: 'N',
+    auto: null,
+    best: null
+  };
+  var METHOD_NAMES = {
+    S: 'lzss',
+    H: 'lzss-huffman',
+    W: 'lzw',
+    U: 'lzw-utf8',
+    M: 'ppm',
+    N: 'none'
+  };
+
+  // Size estimation by the samples
+  var ESTIMATE_SAMPLE_SIZE = 4096;
+  var ESTIMATE_SAMPLES = 8;
+  var ESTIMATE_MARGIN = 0.02; // Minimum error of the ratio
+
+  // Dictionary training
+  var TRAIN_DMER_LENGTH = 6; // Length of the substrings to count
+  var TRAIN_SEGMENT_LENGTH = 32; // Maximum length of the substrings to pick
+
+  // Back-reference distances
+  var NEAR_DISTANCE_MAX = (COMPRESS_FIXED_START - COMPRESS_START) * BUFFER_MAX;
+  var FAR_LENGTH_MIN = 4;
+
+
+  // Error of the invalid compressed data
+  function LZJSError(message, code, offset) {
+    this.name = 'LZJSError';
+    this.message = message;
+    this.code = code;
+    this.offset = offset;
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, LZJSError);
+    } else {
+      this.stack = new Error(message).stack;
+    }
+  }
+
+  LZJSError.prototype = Object.create(Error.prototype);
+  LZJSError.prototype.constructor = LZJSError;
 
 
   // LZSS Compressor
@@ -136,6 +291,25 @@
       this._onDataCallback = options.onData;
       this._onEndCallback = options.onEnd;
       this._maxBytes = options.maxBytes;
+      this._level = options.level;
+      this._dictionary = options.dictionary != null ? '' + options.dictionary : null;
+      this._window = getWindow(this._dictionary);
+      // lzjs 1.x cannot read the long match, so it is only written after the header.
+      this._longMatch = !!options.longMatch;
+
+      var params = getLevelParams(this._level);
+      this._windowSize = params[0];
+      if (this._dictionary != null) {
+        // The whole dictionary can be referenced.
+        this._windowSize = Math.max(this._windowSize, this._window.length);
+      }
+      this._niceLength = params[1];
+      this._parse = params[3];
+      this._chain = new HashChain({
+        windowSize: this._windowSize,
+        niceLength: params[1],
+        chainLength: params[2]
+      });
     },
     _createTable: function() {
       var table = createBuffer(8, TABLE_LENGTH);
@@ -158,192 +332,544 @@
         this._onEndCallback();
       }
       this._data = this._table = null;
+      this._chain._end();
     },
     // Searches for a longest match
-    _search: function() {
-      var i = 2;
-      var data = this._data;
+    // A far match that costs more than the literals falls back to a shorter match.
+    // The last index is of the literal before the offset if it is not written yet.
+    _search: function(lastIndex) {
       var offset = this._offset;
       var len = BUFFER_MAX;
       if (this._dataLen - offset < len) {
         len = this._dataLen - offset;
       }
-      if (i > len) {
+      if (len < 2) {
         return false;
       }
 
-      var pos = offset - WINDOW_BUFFER_MAX;
-      var win = data.substring(pos, offset + len);
-      var limit = offset + i - 3 - pos;
-      var j, s, index, lastIndex, bestIndex, winPart;
+      var lengths = this._matchLengths;
+      var indexes = this._matchIndexes;
+      var length = this._chain.search(this._data, offset, this._base + offset, len,
+        lengths, indexes);
+      if (length < 2) {
+        return false;
+      }
 
-      do {
-        if (i === 2) {
-          s = data.charAt(offset) + data.charAt(offset + 1);
+      // The matches are longer and farther in order.
+      for (var k = this._chain.count - 1; k >= 0; k--) {
+        this._index = indexes[k];
+        this._length = lengths[k];
+        if (this._index < NEAR_DISTANCE_MAX) {
+          break;
+        }
+        if (this._length >= FAR_LENGTH_MIN && this._index <= WINDOW_LIMIT &&
+            this._isFarMatchCheaper(offset, this._length,
+              lastIndex === void 0 ? this._lastIndex : lastIndex)) {
+          break;
+        }
+      }
+      if (k < 0) {
+        return false;
+      }
 
-          // Fast check by pre-match for the slow lastIndexOf.
-          index = win.indexOf(s);
-          if (!~index || index > limit) {
-            break;
-          }
-        } else if (i === 3) {
-          s = s + data.charAt(offset + 2);
+      if (this._length === BUFFER_MAX && this._longMatch) {
+        this._length = this._extendMatch(offset, this._index, this._length);
+      }
+      return true;
+    },
+    // Whether the far match costs less than the literals that it replaces.
+    // A literal after the match writes its index again, so that is counted too.
+    _isFarMatchCheaper: function(offset, length, lastIndex) {
+      var data = this._data;
+      var cost = 0;
+      var i, c;
+
+      for (i = 0; i < length; i++) {
+        c = data[offset + i];
+        cost += literalCost(c, lastIndex);
+        lastIndex = literalIndex(c);
+      }
+      if (offset + length < this._dataLen) {
+        c = data[offset + length];
+        cost += literalCost(c, lastIndex) - literalCost(c, -1);
+      }
+      return matchCost(NEAR_DISTANCE_MAX, length) < cost;
+    },
+    // Extends the match of the maximum length beyond BUFFER_MAX (e.g. long runs).
+    _extendMatch: function(offset, index, length) {
+      var data = this._data;
+      var max = Math.min(LONG_LENGTH_MAX, this._dataLen - offset);
+
+      while (length < max && data[offset + length] === data[offset + length - index]) {
+        length++;
+      }
+      return length;
+    },
+    // Adds the positions before the offset to the hash chains.
+    _insert: function() {
+      var data = this._data;
+      var base = this._base;
+      var chain = this._chain;
+      var i = this._inserted - base;
+      var end = Math.min(this._offset, this._dataLen - 1);
+
+      for (; i < end; i++) {
+        chain.insert(data, i, base + i);
+      }
+      this._inserted = base + i;
+    },
+    _start: function() {
+      var win = this._window;
+
+      this._table = this._createTable();
+      this._buffer = createBuffer(8, COMPRESS_CHUNK_SIZE);
+      this._bufferIndex = 0;
+      this._matchLengths = createBuffer(8, BUFFER_MAX + 1);
+      this._matchIndexes = createBuffer(32, BUFFER_MAX + 1);
+      this._bytes = 0;
+      this._lastIndex = -1;
+      this._pending = '';
+      this._result = '';
+      this._offset = win.length;
+      this._data = stringToBuffer(win);
+      this._dataLen = win.length;
+      this._base = 0;
+      this._inserted = 0;
+      this._chain._start();
+      this._insert();
+
+      if (this._dictionary != null) {
+        this._writeDictionary();
+      }
+      // The decompressor keeps WINDOW_MAX characters by default,
+      // so the levels that only change the parsing write the tokens of lzjs 1.x.
+      if (this._level != null && this._windowSize > WINDOW_MAX) {
+        this._writeParams();
+      }
+    },
+    _flush: function() {
+      if (this._bufferIndex > 0) {
+        this._onData(this._buffer, this._bufferIndex);
+        this._bufferIndex = 0;
+      }
+    },
+    // Records the ID of the dictionary to detect a wrong dictionary.
+    _writeDictionary: function() {
+      var buffer = this._buffer;
+      var table = this._table;
+      var id = adler32(this._dictionary);
+      var i = this._bufferIndex + DICTIONARY_ID_LENGTH;
+      var c;
+
+      buffer[this._bufferIndex] = table[COMPRESS_DICTIONARY];
+      for (; i > this._bufferIndex; i--) {
+        c = id % BUFFER_MAX;
+        buffer[i] = table[c];
+        id = (id - c) / BUFFER_MAX;
+      }
+
+      this._bytes += DICTIONARY_ID_LENGTH + 1;
+      this._bufferIndex += DICTIONARY_ID_LENGTH + 1;
+    },
+    // Records the level and the window size for the decompressor.
+    _writeParams: function() {
+      var buffer = this._buffer;
+      var table = this._table;
+      var i = this._bufferIndex;
+      var bits = 0;
+
+      while ((1 << bits) < this._windowSize) {
+        bits++;
+      }
+
+      buffer[i++] = table[COMPRESS_PARAMS];
+      buffer[i++] = table[this._level];
+      buffer[i++] = table[bits];
+      this._bytes += 3;
+      this._bufferIndex = i;
+    },
+    _writeLiteral: function(c) {
+      var buffer = this._buffer;
+      var table = this._table;
+      var i = this._bufferIndex;
+      var index, c1, c2, c3, c4;
+
+      if (c < LATIN_BUFFER_MAX) {
+        if (c < UNICODE_CHAR_MAX) {
+          c1 = c;
+          c2 = 0;
+          index = LATIN_INDEX;
         } else {
-          s = data.substr(offset, i);
+          c1 = c % UNICODE_CHAR_MAX;
+          c2 = (c - c1) / UNICODE_CHAR_MAX;
+          index = c2 + LATIN_INDEX;
         }
 
-        if (STRING_LASTINDEXOF_BUG) {
-          winPart = data.substring(pos, offset + i - 1);
-          lastIndex = winPart.lastIndexOf(s);
+        // Latin index
+        if (this._lastIndex === index) {
+          buffer[i++] = table[c1];
+          this._bytes++;
         } else {
-          lastIndex = win.lastIndexOf(s, limit);
+          buffer[i++] = table[index - LATIN_INDEX_START];
+          buffer[i++] = table[c1];
+          this._bytes += 2;
+          this._lastIndex = index;
         }
-
-        if (!~lastIndex) {
-          break;
+      } else {
+        if (c < UNICODE_BUFFER_MAX) {
+          c1 = c;
+          c2 = 0;
+          index = UNICODE_INDEX;
+        } else {
+          c1 = c % UNICODE_BUFFER_MAX;
+          c2 = (c - c1) / UNICODE_BUFFER_MAX;
+          index = c2 + UNICODE_INDEX;
         }
 
-        bestIndex = lastIndex;
-        j = pos + lastIndex;
-        do {
-          if (data.charCodeAt(offset + i) !== data.charCodeAt(j + i)) {
-            break;
-          }
-        } while (++i < len);
+        if (c1 < UNICODE_CHAR_MAX) {
+          c3 = c1;
+          c4 = 0;
+        } else {
+          c3 = c1 % UNICODE_CHAR_MAX;
+          c4 = (c1 - c3) / UNICODE_CHAR_MAX;
+        }
 
-        if (index === lastIndex) {
-          i++;
-          break;
+        // Unicode index
+        if (this._lastIndex === index) {
+          buffer[i++] = table[c3];
+          buffer[i++] = table[c4];
+          this._bytes += 2;
+        } else {
+          buffer[i++] = table[CHAR_START];
+          buffer[i++] = table[index - TABLE_LENGTH];
+          buffer[i++] = table[c3];
+          buffer[i++] = table[c4];
+          this._bytes += 4;
+          this._lastIndex = index;
         }
+      }
+
+      this._bufferIndex = i;
+      if (i >= COMPRESS_CHUNK_MAX) {
+        this._flush();
+      }
+    },
+    _writeMatch: function(index, length) {
+      var buffer = this._buffer;
+      var table = this._table;
+      var i = this._bufferIndex;
+      var c1, c2, c3;
+
+      if (length > BUFFER_MAX) {
+        // The length beyond BUFFER_MAX precedes the match.
+        c1 = (length - BUFFER_MAX) % BUFFER_MAX;
+        c2 = (length - BUFFER_MAX - c1) / BUFFER_MAX;
+
+        buffer[i++] = table[COMPRESS_LONG];
+        buffer[i++] = table[c2];
+        buffer[i++] = table[c1];
+        this._bytes += 3;
+        length = BUFFER_MAX;
+      }
 
-      } while (++i < len);
+      if (index >= NEAR_DISTANCE_MAX) {
+        // Far back-reference
+        c1 = index % BUFFER_MAX;
+        c3 = (index - c1) / BUFFER_MAX;
+        c2 = c3 % BUFFER_MAX;
+        c3 = (c3 - c2) / BUFFER_MAX;
+
+        buffer[i++] = table[c3 + COMPRESS_FAR_START];
+        buffer[i++] = table[c2];
+        buffer[i++] = table[c1];
+        buffer[i++] = table[length];
+        this._bytes += 4;
+      } else {
+        if (index < BUFFER_MAX) {
+          c1 = index;
+          c2 = 0;
+        } else {
+          c1 = index % BUFFER_MAX;
+          c2 = (index - c1) / BUFFER_MAX;
+        }
 
-      if (i === 2) {
-        return false;
+        if (length === 2) {
+          buffer[i++] = table[c2 + COMPRESS_FIXED_START];
+          buffer[i++] = table[c1];
+          this._bytes += 2;
+        } else {
+          buffer[i++] = table[c2 + COMPRESS_START];
+          buffer[i++] = table[c1];
+          buffer[i++] = table[length];
+          this._bytes += 3;
+        }
       }
 
-      this._index = WINDOW_BUFFER_MAX - bestIndex;
-      this._length = i - 1;
-      return true;
+      this._lastIndex = -1;
+      this._bufferIndex = i;
+      if (i >= COMPRESS_CHUNK_MAX) {
+        this._flush();
+      }
     },
-    compress: function(data) {
-      if (data == null || data.length === 0) {
-        return '';
+    // Compresses the data that follows the previous written data.
+    // Keeps BUFFER_MAX characters for the next search if not ended.
+    _write: function(data, ended) {
+      // The matches of the optimal parsing end at the end of the block,
+      // so the small writes are kept until they fill a block.
+      if (this._parse === PARSE_OPTIMAL) {
+        data = this._pending + data;
+        this._pending = '';
+        if (!ended && this._dataLen - this._offset + data.length <
+            OPTIMAL_MIN_BLOCK_SIZE + BUFFER_MAX) {
+          this._pending = data;
+          return true;
+        }
       }
 
-      var result = '';
-      var table = this._createTable();
-      var win = createWindow();
-      var buffer = createBuffer(8, COMPRESS_CHUNK_SIZE);
-      var i = 0;
-      var bytes = 0;
+      // Slides the window and appends the data.
+      var pos = Math.max(this._offset - this._windowSize, 0);
+      var win = this._data;
+      var winLen = this._dataLen - pos;
+      var len = data.length;
+      var j;
 
-      this._result = '';
-      this._offset = win.length;
-      this._data = win + data;
-      this._dataLen = this._data.length;
+      this._data = createBuffer(16, winLen + len);
+      for (j = 0; j < winLen; j++) {
+        this._data[j] = win[pos + j];
+      }
+      for (j = 0; j < len; j++) {
+        this._data[winLen + j] = data.charCodeAt(j);
+      }
+
+      this._dataLen = winLen + len;
+      this._offset -= pos;
+      this._base += pos;
+      this._insert();
       win = data = null;
 
-      var index = -1;
-      var lastIndex = -1;
-      var c, c1, c2, c3, c4;
-
-      while (this._offset < this._dataLen) {
-        if (!this._search()) {
-          c = this._data.charCodeAt(this._offset++);
-          if (c < LATIN_BUFFER_MAX) {
-            if (c < UNICODE_CHAR_MAX) {
-              c1 = c;
-              c2 = 0;
-              index = LATIN_INDEX;
-            } else {
-              c1 = c % UNICODE_CHAR_MAX;
-              c2 = (c - c1) / UNICODE_CHAR_MAX;
-              index = c2 + LATIN_INDEX;
+      var end = ended ? this._dataLen : this._dataLen - BUFFER_MAX;
+      var result;
+
+      if (this._parse === PARSE_OPTIMAL) {
+        result = this._parseOptimal(end);
+      } else {
+        result = this._parseGreedy(end);
+      }
+
+      this._flush();
+      return result;
+    },
+    // Takes the longest match at each position.
+    // The lazy parsing defers the match if the match at the next position is better.
+    _parseGreedy: function(end) {
+      var lazy = this._parse === PARSE_LAZY;
+      var nice = this._niceLength;
+      var next = false;
+      var found, index, length, c;
+
+      while (this._offset < end) {
+        if (next) {
+          found = true;
+          next = false;
+        } else {
+          found = this._search();
+        }
+
+        if (found && lazy && this._length < nice && this._offset + 1 < end) {
+          index = this._index;
+          length = this._length;
+          c = this._data[this._offset++];
+          this._insert();
+
+          if (this._search(literalIndex(c)) && isLazyMatchBetter(c, this._lastIndex,
+                index, length, this._index, this._length)) {
+            this._writeLiteral(c);
+            next = true;
+            if (this._bytes > this._maxBytes) {
+              return false;
             }
+            continue;
+          }
 
-            // Latin index
-            if (lastIndex === index) {
-              buffer[i++] = table[c1];
-              bytes++;
-            } else {
-              buffer[i++] = table[index - LATIN_INDEX_START];
-              buffer[i++] = table[c1];
-              bytes += 2;
-              lastIndex = index;
+          this._offset--;
+          this._index = index;
+          this._length = length;
+        }
+
+        if (found) {
+          this._writeMatch(this._index, this._length);
+          this._offset += this._length;
+        } else {
+          this._writeLiteral(this._data[this._offset++]);
+        }
+
+        this._insert();
+
+        if (this._bytes > this._maxBytes) {
+          return false;
+        }
+      }
+
+      return true;
+    },
+    // Finds the tokens of the minimum cost by dynamic programming for each block.
+    // The cost of the literal depends on the previous token,
+    // so each position has 2 states: after a match (0) and after a literal (1).
+    _parseOptimal: function(end) {
+      var data = this._data;
+      var chain = this._chain;
+      var size = Math.max(Math.min(end - this._offset, OPTIMAL_BLOCK_SIZE), 0) + 1;
+      var cost0 = createBuffer(32, size);
+      var cost1 = createBuffer(32, size);
+      var from0 = createBuffer(8, size);
+      var from1 = createBuffer(8, size);
+      var lengths = createBuffer(8, size);
+      var indexes = createBuffer(32, size);
+      var links = createBuffer(8, size);
+      var matchLengths = createBuffer(8, BUFFER_MAX + 1);
+      var matchIndexes = createBuffer(32, BUFFER_MAX + 1);
+      var nice = this._niceLength;
+      var longIndex = 0;
+      var longLength = 0;
+      var offset, n, p, c, i, k, l, len, count, cost, base, from, index, state, skip;
+
+      while (this._offset < end) {
+        offset = this._offset;
+        n = Math.min(end - offset, OPTIMAL_BLOCK_SIZE);
+
+        for (p = 0; p <= n; p++) {
+          cost0[p] = cost1[p] = COST_MAX;
+        }
+        skip = 0;
+        if (this._lastIndex === -1) {
+          cost0[0] = 0;
+        } else {
+          cost1[0] = 0;
+        }
+
+        for (p = 0; p < n; p++) {
+          i = offset + p;
+          c = data[i];
+
+          // Literal
+          cost = COST_MAX;
+          from = 0;
+          if (cost0[p] !== COST_MAX) {
+            cost = cost0[p] + literalCost(c, -1);
+          }
+          if (cost1[p] !== COST_MAX) {
+            index = p === 0 ? this._lastIndex : literalIndex(data[i - 1]);
+            k = cost1[p] + literalCost(c, index);
+            if (k < cost) {
+              cost = k;
+              from = 1;
             }
-          } else {
-            if (c < UNICODE_BUFFER_MAX) {
-              c1 = c;
-              c2 = 0;
-              index = UNICODE_INDEX;
-            } else {
-              c1 = c % UNICODE_BUFFER_MAX;
-              c2 = (c - c1) / UNICODE_BUFFER_MAX;
-              index = c2 + UNICODE_INDEX;
+          }
+          if (cost < cost1[p + 1]) {
+            cost1[p + 1] = cost;
+            from1[p + 1] = from;
+          }
+
+          // Matches
+          // Positions in a long match are not searched to save time.
+          len = Math.min(BUFFER_MAX, n - p);
+          if (len < 2 || p < skip) {
+            continue;
+          }
+
+          this._offset = i;
+          this._insert();
+          chain.search(data, i, this._base + i, len, matchLengths, matchIndexes);
+          count = chain.count;
+          if (count > 0 && matchLengths[count - 1] >= nice) {
+            skip = p + matchLengths[count - 1];
+          }
+
+          // The block ends before the match that is longer than BUFFER_MAX.
+          if (this._longMatch && count > 0 && matchLengths[count - 1] === BUFFER_MAX &&
+              matchIndexes[count - 1] <= WINDOW_LIMIT) {
+            longIndex = matchIndexes[count - 1];
+            longLength = this._extendMatch(i, longIndex, BUFFER_MAX);
+            if (longLength > BUFFER_MAX) {
+              n = p;
+              break;
             }
+            longLength = 0;
+          }
+
+          base = Math.min(cost0[p], cost1[p]);
+          from = cost0[p] <= cost1[p] ? 0 : 1;
+          l = 2;
 
-            if (c1 < UNICODE_CHAR_MAX) {
-              c3 = c1;
-              c4 = 0;
-            } else {
-              c3 = c1 % UNICODE_CHAR_MAX;
-              c4 = (c1 - c3) / UNICODE_CHAR_MAX;
+          for (k = 0; k < count; k++) {
+            index = matchIndexes[k];
+            if (index > WINDOW_LIMIT) {
+              continue;
             }
 
-            // Unicode index
-            if (lastIndex === index) {
-              buffer[i++] = table[c3];
-              buffer[i++] = table[c4];
-              bytes += 2;
-            } else {
-              buffer[i++] = table[CHAR_START];
-              buffer[i++] = table[index - TABLE_LENGTH];
-              buffer[i++] = table[c3];
-              buffer[i++] = table[c4];
-              bytes += 4;
-
-              lastIndex = index;
+            for (; l <= matchLengths[k]; l++) {
+              if (index >= NEAR_DISTANCE_MAX && l < FAR_LENGTH_MIN) {
+                continue;
+              }
+
+              cost = base + matchCost(index, l);
+              if (cost < cost0[p + l]) {
+                cost0[p + l] = cost;
+                from0[p + l] = from;
+                lengths[p + l] = l;
+                indexes[p + l] = index;
+              }
             }
           }
-        } else {
-          if (this._index < BUFFER_MAX) {
-            c1 = this._index;
-            c2 = 0;
+        }
+
+        // Traces back the tokens and writes them in order.
+        state = cost0[n] <= cost1[n] ? 0 : 1;
+        for (p = n; p > 0; p -= l) {
+          if (state === 0) {
+            l = lengths[p];
+            state = from0[p];
           } else {
-            c1 = this._index % BUFFER_MAX;
-            c2 = (this._index - c1) / BUFFER_MAX;
+            l = 1;
+            state = from1[p];
           }
+          links[p - l] = l;
+        }
 
-          if (this._length === 2) {
-            buffer[i++] = table[c2 + COMPRESS_FIXED_START];
-            buffer[i++] = table[c1];
-            bytes += 2;
+        for (p = 0; p < n; p += l) {
+          l = links[p];
+          if (l === 1) {
+            this._writeLiteral(data[offset + p]);
           } else {
-            buffer[i++] = table[c2 + COMPRESS_START];
-            buffer[i++] = table[c1];
-            buffer[i++] = table[this._length];
-            bytes += 3;
+            this._writeMatch(indexes[p + l], l);
           }
+        }
 
-          this._offset += this._length;
-          if (~lastIndex) {
-            lastIndex = -1;
-          }
+        this._offset = offset + n;
+        if (longLength > 0) {
+          this._writeMatch(longIndex, longLength);
+          this._offset += longLength;
+          longLength = 0;
         }
+        this._insert();
 
-        if (bytes > this._maxBytes) {
+        if (this._bytes > this._maxBytes) {
           return false;
         }
+      }
 
-        if (i >= COMPRESS_CHUNK_MAX) {
-          this._onData(buffer, i);
-          i = 0;
-        }
+      return true;
+    },
+    compress: function(data) {
+      if (data == null || data.length === 0) {
+        return '';
       }
 
-      if (i > 0) {
-        this._onData(buffer, i);
+      var result = '';
+
+      this._start();
+      if (!this._write(data, true)) {
+        return false;
       }
 
       this._onEnd();
@@ -354,6 +880,108 @@
   };
 
 
+  // Hash chain match finder
+  function HashChain(options) {
+    this._init(options);
+  }
+
+  HashChain.prototype = {
+    _init: function(options) {
+      var size = 1;
+
+      this._windowSize = options.windowSize;
+      this._niceLength = options.niceLength;
+      this._chainLength = options.chainLength || 0;
+      this._head = null;
+      this._prev = null;
+
+      while (size <= this._windowSize) {
+        size <<= 1;
+      }
+      this._prevSize = size;
+      this._prevMask = size - 1;
+      this.distance = 0;
+      this.count = 0;
+    },
+    _start: function() {
+      // Positions are stored as position + 1, 0 is empty.
+      this._head = createBuffer(32, HASH_SIZE);
+      this._prev = createBuffer(32, this._prevSize);
+
+      if (!HAS_TYPED) {
+        for (var i = 0; i < HASH_SIZE; i++) {
+          this._head[i] = 0;
+        }
+      }
+    },
+    _end: function() {
+      this._head = this._prev = null;
+    },
+    // Adds the position of the data[i] and data[i + 1].
+    insert: function(data, i, pos) {
+      var hash = ((data[i] << 8) ^ (data[i] >> 8) ^ data[i + 1]) & HASH_MASK;
+
+      this._prev[pos & this._prevMask] = this._head[hash];
+      this._head[hash] = pos + 1;
+    },
+    // Searches for a longest match that starts with data[i].
+    // The nearest one is taken if same lengths.
+    // Each longer match found is recorded in lengths and distances if given.
+    search: function(data, i, pos, maxLength, lengths, distances) {
+      var c = data[i];
+      var c2 = data[i + 1];
+      var hash = ((c << 8) ^ (c >> 8) ^ c2) & HASH_MASK;
+      var prev = this._prev;
+      var mask = this._prevMask;
+      var windowSize = this._windowSize;
+      var nice = Math.min(this._niceLength, maxLength);
+      var chain = this._chainLength;
+      var match = this._head[hash] - 1;
+      var best = 1;
+      var distance = 0;
+      var count = 0;
+      var d, j, k;
+
+      while (match >= 0) {
+        d = pos - match;
+        if (d > windowSize) {
+          break;
+        }
+
+        j = i - d;
+        if (data[j + best] === data[i + best] &&
+            data[j] === c && data[j + 1] === c2) {
+          k = 2;
+          while (k < maxLength && data[j + k] === data[i + k]) {
+            k++;
+          }
+
+          if (k > best) {
+            best = k;
+            distance = d;
+            if (lengths) {
+              lengths[count] = k;
+              distances[count++] = d;
+            }
+            if (k >= nice) {
+              break;
+            }
+          }
+        }
+
+        if (--chain === 0) {
+          break;
+        }
+        match = prev[match & mask] - 1;
+      }
+
+      this.distance = distance;
+      this.count = count;
+      return best;
+    }
+  };
+
+
   // LZSS Decompressor
   function LZSSDecompressor(options) {
     this._init(options);
@@ -366,6 +994,13 @@
       this._result = null;
       this._onDataCallback = options.onData;
       this._onEndCallback = options.onEnd;
+      this._dictionary = options.dictionary != null ? '' + options.dictionary : null;
+      this._window = getWindow(this._dictionary);
+      this._strict = options.strict;
+      this._offset = options.offset || 0;
+      this._maxLength = options.maxLength != null ? options.maxLength : Infinity;
+      // Counts the tokens without the output
+      this._inspect = false;
     },
     _createTable: function() {
       var table = {};
@@ -378,16 +1013,16 @@
       var data;
 
       if (this._onDataCallback) {
+        data = this._result.slice(this._flushed);
+
         if (ended) {
-          data = this._result;
           this._result = [];
-        } else {
-          var len = DECOMPRESS_CHUNK_SIZE - WINDOW_MAX;
-          data = this._result.slice(WINDOW_MAX, WINDOW_MAX + len);
-
-          this._result = this._result.slice(0, WINDOW_MAX).concat(
-                         this._result.slice(WINDOW_MAX + len));
+        } else if (this._result.length >= this._windowMax * 2) {
+          // Keeps the sliding window for the next references.
+          // It is cut at twice the window, so small writes do not copy the window each time.
+          this._result = this._result.slice(-this._windowMax);
         }
+        this._flushed = this._result.length;
 
         if (data.length > 0) {
           this._onDataCallback(bufferToString_fast(data));
@@ -399,22 +1034,55 @@
         this._onEndCallback();
       }
     },
-    decompress: function(data) {
-      if (data == null || data.length === 0) {
-        return '';
+    _start: function() {
+      this._result = stringToArray(this._window);
+      this._flushed = this._result.length;
+      this._table = this._createTable();
+      this._pending = '';
+      this._out = false;
+      this._index = null;
+      this._extra = 0;
+      this._windowMax = Math.max(WINDOW_MAX, this._window.length);
+      this._checked = false;
+      this._position = this._offset;
+      this._length = 0;
+      this._literals = 0;
+      this._matches = 0;
+      this._matchLength = 0;
+    },
+    // Throws if the data has a character that is not in the table.
+    _validate: function(data) {
+      var table = this._table;
+      var len = data.length;
+
+      for (var i = 0; i < len; i++) {
+        if (table[data.charAt(i)] === void 0) {
+          throw new LZJSError('Unknown character', 'E_BAD_TYPE', this._position + i);
+        }
+      }
+    },
+    // Decompresses the data that follows the previous written data.
+    // A token that is split at the end is kept until the next data if not ended.
+    _write: function(data, ended) {
+      var table = this._table;
+      var out = this._out;
+      var index = this._index;
+
+      if (this._pending.length > 0) {
+        data = this._pending + data;
+        this._pending = '';
       }
 
-      this._result = stringToArray(createWindow());
-      var result = '';
-      var table = this._createTable();
+      if (this._strict) {
+        this._validate(data);
+      }
 
-      var out = false;
-      var index = null;
       var len = data.length;
       var offset = 0;
 
+      var extra = this._extra;
       var i, c, c2, c3;
-      var code, pos, length, sub, subLen, expandLen;
+      var code, pos, length, sub, subLen, result, id;
 
       for (; offset < len; offset++) {
         c = table[data.charAt(offset)];
@@ -422,6 +1090,25 @@
           continue;
         }
 
+        if (!this._checked) {
+          // The dictionary ID comes first if compressed with a dictionary.
+          if (c !== COMPRESS_DICTIONARY && this._dictionary != null) {
+            throw new LZJSError('Data is not compressed with the dictionary',
+              'E_DICTIONARY', this._position + offset);
+          }
+          this._checked = true;
+        }
+
+        if (offset + tokenLength(c, out) > len) {
+          if (!ended) {
+            this._pending = data.substring(offset);
+            break;
+          }
+          if (this._strict) {
+            throw new LZJSError('Unexpected end of data', 'E_TRUNCATED', this._position + offset);
+          }
+        }
+
         if (c < DECODE_MAX) {
           if (!out) {
             // Latin index
@@ -431,7 +1118,13 @@
             c3 = table[data.charAt(++offset)];
             code = c3 * UNICODE_CHAR_MAX + c + UNICODE_BUFFER_MAX * index;
           }
-          this._result[this._result.length] = code;
+          this._literals++;
+          if (!this._inspect) {
+            this._result[this._result.length] = code;
+          }
+          if (++this._length > this._maxLength) {
+            throw createLimitError(this._position + offset);
+          }
         } else if (c < LATIN_DECODE_MAX) {
           // Latin starting point
           index = c - DECODE_MAX;
@@ -441,48 +1134,128 @@
           c2 = table[data.charAt(++offset)];
           index = c2 - 5;
           out = true;
-        } else if (c < COMPRESS_INDEX) {
+        } else if (c < COMPRESS_FAR_INDEX) {
           c2 = table[data.charAt(++offset)];
 
           if (c < COMPRESS_FIXED_START) {
             pos = (c - COMPRESS_START) * BUFFER_MAX + c2;
             length = table[data.charAt(++offset)];
-          } else {
+          } else if (c < COMPRESS_INDEX) {
             pos = (c - COMPRESS_FIXED_START) * BUFFER_MAX + c2;
             length = 2;
+          } else {
+            // Far back-reference
+            c3 = table[data.charAt(++offset)];
+            pos = ((c - COMPRESS_FAR_START) * BUFFER_MAX + c2) * BUFFER_MAX + c3;
+            length = table[data.charAt(++offset)];
           }
+          length += extra;
+          extra = 0;
 
-          sub = this._result.slice(-pos);
-          if (sub.length > length) {
-            sub.length = length;
+          if (this._strict && (pos === 0 || pos > this._result.length)) {
+            throw new LZJSError('Back-reference out of the window',
+              'E_BAD_REFERENCE', this._position + offset);
           }
-          subLen = sub.length;
-
-          if (sub.length > 0) {
-            expandLen = 0;
-            while (expandLen < length) {
-              for (i = 0; i < subLen; i++) {
-                this._result[this._result.length] = sub[i];
-                if (++expandLen >= length) {
-                  break;
-                }
-              }
+
+          this._length += length;
+          if (this._length > this._maxLength) {
+            throw createLimitError(this._position + offset);
+          }
+
+          this._matches++;
+          this._matchLength += length;
+          if (this._inspect) {
+            index = null;
+            continue;
+          }
+
+          // Copies from the result without slicing the large window.
+          result = this._result;
+          sub = Math.max(result.length - pos, 0);
+          subLen = Math.min(result.length - sub, length);
+
+          if (subLen > 0) {
+            for (i = 0; i < length; i++) {
+              result[result.length] = result[sub + i % subLen];
             }
           }
           index = null;
+        } else if (c === COMPRESS_PARAMS) {
+          // Level and window size
+          offset++;
+          c2 = table[data.charAt(++offset)];
+          this._windowMax = Math.max(this._windowMax, 1 << c2);
+        } else if (c === COMPRESS_LONG) {
+          c2 = table[data.charAt(++offset)];
+          c3 = table[data.charAt(++offset)];
+          extra = c2 * BUFFER_MAX + c3;
+        } else if (c === COMPRESS_DICTIONARY) {
+          id = 0;
+          for (i = 0; i < DICTIONARY_ID_LENGTH; i++) {
+            id = id * BUFFER_MAX + table[data.charAt(++offset)];
+          }
+
+          if (this._inspect) {
+            this._dictionaryId = id;
+          } else if (this._dictionary == null) {
+            throw new LZJSError('Dictionary is required', 'E_DICTIONARY', this._position + offset);
+          } else if (id !== adler32(this._dictionary)) {
+            throw new LZJSError('Dictionary mismatch', 'E_DICTIONARY', this._position + offset);
+          }
         }
 
-        if (this._result.length >= DECOMPRESS_CHUNK_MAX) {
+        if (this._result.length - this._flushed >= DECOMPRESS_CHUNK_SIZE) {
           this._onData();
         }
       }
 
-      this._result = this._result.slice(WINDOW_MAX);
+      this._out = out;
+      this._index = index;
+      this._extra = extra;
+      this._position += len - this._pending.length;
+
+      // Yields the output of every write, and only the window is kept.
+      if (!ended) {
+        this._onData();
+      }
+    },
+    _end: function() {
+      var result;
+
       this._onData(true);
       this._onEnd();
 
-      result = bufferToString_fast(this._result);
-      this._result = null;
+      result = bufferToString_fast(this._result.slice(this._flushed));
+      this._result = this._table = null;
+      return result;
+    },
+    decompress: function(data) {
+      if (data == null || data.length === 0) {
+        return '';
+      }
+
+      this._start();
+      this._write(data, true);
+      return this._end();
+    },
+    // Walks the tokens and returns the decoded length and the counts of the tokens.
+    inspect: function(data) {
+      var result;
+
+      this._inspect = true;
+      this._dictionaryId = null;
+      this._start();
+      this._write(data, true);
+
+      result = {
+        decodedLength: this._length,
+        literals: this._literals,
+        matches: this._matches,
+        averageMatchLength: this._matches > 0 ? this._matchLength / this._matches : 0,
+        windowSize: this._windowMax,
+        dictionaryId: this._dictionaryId
+      };
+      this._result = this._table = null;
       return result;
     }
   };
@@ -500,6 +1273,9 @@
       this._codeStart = options.codeStart || 0xff;
       this._codeMax = options.codeMax || 0xffff;
       this._maxBytes = options.maxBytes;
+      this._strict = options.strict;
+      this._offset = options.offset || 0;
+      this._maxLength = options.maxLength != null ? options.maxLength : Infinity;
     },
     compress: function(data) {
       if (data == null || data.length === 0) {
@@ -513,7 +1289,6 @@
       var buffer = '';
       var code = this._codeStart + 1;
       var codeMax = this._codeMax;
-      var codeBytes = 2;
 
       var dict = [];
       var dictLen = 0;
@@ -538,10 +1313,11 @@
         } else {
           if (buffer.length === 1) {
             result += buffer;
-            resultBytes++;
+            resultBytes += buffer.charCodeAt(0) < 0x80 ? 1 : 2;
           } else {
-            result += dict[buffer.length][buffer];
-            resultBytes += codeBytes;
+            s = dict[buffer.length][buffer];
+            resultBytes += codeByteLength(result, s);
+            result += s;
           }
 
           if (resultBytes > this._maxBytes) {
@@ -560,9 +1336,6 @@
             }
 
             dict[length][key] = fromCharCode(code++);
-            if (code === 0x800) {
-              codeBytes = 3;
-            }
           }
 
           buffer = c;
@@ -571,10 +1344,11 @@
 
       if (buffer.length === 1) {
         result += buffer;
-        resultBytes++;
+        resultBytes += buffer.charCodeAt(0) < 0x80 ? 1 : 2;
       } else {
-        result += dict[buffer.length][buffer];
-        resultBytes += codeBytes;
+        s = dict[buffer.length][buffer];
+        resultBytes += codeByteLength(result, s);
+        result += s;
       }
 
       if (resultBytes > this._maxBytes) {
@@ -583,179 +1357,3132 @@
 
       return result;
     },
-    decompress: function(data) {
-      if (data == null || data.length === 0) {
-        return '';
-      }
-
+    _startDecompress: function() {
+      this._dict = {};
+      this._code = this._codeStart + 1;
+      this._prev = null;
+      this._ch = null;
+      this._position = this._offset;
+      this._length = 0;
+    },
+    // Decompresses the codes that follow the previous written codes.
+    _writeDecompress: function(data) {
       var result = '';
 
-      var dict = {};
-      var code = this._codeStart + 1;
+      var dict = this._dict;
+      var code = this._code;
       var codeMax = this._codeStart;
 
       var i = 0;
       var len = data.length;
-      var c, ch, prev, buffer;
+      var c, buffer;
+      var ch = this._ch;
+      var prev = this._prev;
+      var length = this._length;
+      var maxLength = this._maxLength;
 
-      if (len > 0) {
+      if (prev === null && len > 0) {
         c = data.charCodeAt(i++);
         ch = fromCharCode(c);
         result += ch;
         prev = ch;
+        length++;
+      }
+
+      while (i < len) {
+        c = data.charCodeAt(i++);
+
+        if (c <= codeMax) {
+          buffer = fromCharCode(c);
+        } else {
+          if (hasOwnProperty.call(dict, c)) {
+            buffer = dict[c];
+          } else {
+            if (this._strict && c !== code) {
+              throw new LZJSError('Unknown code', 'E_BAD_REFERENCE', this._position + i - 1);
+            }
+            buffer = prev + ch;
+          }
+        }
+
+        length += buffer.length;
+        if (length > maxLength) {
+          throw createLimitError(this._position + i - 1);
+        }
+        result += buffer;
+
+        ch = buffer.charAt(0);
+        dict[code++] = prev + ch;
+        prev = buffer;
+      }
+
+      this._code = code;
+      this._ch = ch;
+      this._prev = prev;
+      this._position += len;
+      this._length = length;
+      return result;
+    },
+    decompress: function(data) {
+      if (data == null || data.length === 0) {
+        return '';
+      }
+
+      this._startDecompress();
+      return this._writeDecompress(data);
+    },
+    // Walks the codes and returns the decoded length and the dictionary size.
+    // Only the lengths of the dictionary entries are kept.
+    inspect: function(data) {
+      var lengths = {};
+      var codeMax = this._codeStart;
+      var code = codeMax + 1;
+      var length = 0;
+      var prev = 0;
+      var i, c, n;
+
+      for (i = 0; i < data.length; i++) {
+        c = data.charCodeAt(i);
+        if (c <= codeMax) {
+          n = 1;
+        } else if (hasOwnProperty.call(lengths, c)) {
+          n = lengths[c];
+        } else {
+          n = prev + 1;
+        }
+
+        length += n;
+        if (i > 0) {
+          lengths[code++] = prev + 1;
+        }
+        prev = n;
+      }
+
+      return {
+        decodedLength: length,
+        dictionarySize: code - codeMax - 1
+      };
+    }
+  };
+
+
+  // Canonical Huffman decoder that reads a code bit by bit
+  // It is shared by the Huffman coding of the LZSS tokens and Inflate.
+  function HuffmanDecoder(lengths, offset) {
+    this._init(lengths, offset);
+  }
+
+  HuffmanDecoder.prototype = {
+    // The numbers of the codes of each length and the symbols in the canonical order
+    _init: function(lengths, offset) {
+      var counts = [];
+      var symbols = [];
+      var offsets = [0, 0];
+      var left = 1;
+      var i;
+
+      for (i = 0; i <= HUFFMAN_MAX_BITS; i++) {
+        counts[i] = 0;
+      }
+      for (i = 0; i < lengths.length; i++) {
+        counts[lengths[i]]++;
+      }
+      for (i = 1; i <= HUFFMAN_MAX_BITS; i++) {
+        left = (left << 1) - counts[i];
+        if (left < 0) {
+          throw new LZJSError('Invalid Huffman table', 'E_BAD_TYPE', offset);
+        }
+      }
+      for (i = 1; i < HUFFMAN_MAX_BITS; i++) {
+        offsets[i + 1] = offsets[i] + counts[i];
+      }
+      for (i = 0; i < lengths.length; i++) {
+        if (lengths[i] !== 0) {
+          symbols[offsets[lengths[i]]++] = i;
+        }
+      }
+
+      this._counts = counts;
+      this._symbols = symbols;
+      this._reset();
+    },
+    _reset: function() {
+      this._code = 0;
+      this._first = 0;
+      this._index = 0;
+      this._bits = 0;
+    },
+    // Returns the symbol if the bit ends a code, HUFFMAN_CONTINUE or HUFFMAN_INVALID.
+    decodeBit: function(bit) {
+      var count, symbol;
+
+      this._code |= bit;
+      count = this._counts[++this._bits];
+
+      if (this._code - count < this._first) {
+        symbol = this._symbols[this._index + this._code - this._first];
+        this._reset();
+        return symbol;
+      }
+      if (this._bits === HUFFMAN_MAX_BITS) {
+        this._reset();
+        return HUFFMAN_INVALID;
+      }
+
+      this._index += count;
+      this._first = (this._first + count) << 1;
+      this._code <<= 1;
+      return HUFFMAN_CONTINUE;
+    }
+  };
+
+
+  // Huffman coding of the LZSS tokens
+  // The payload has the code lengths of the table characters and the end code
+  // in 4 bits (0 is followed by 4 bits of the number of zeros),
+  // and the canonical Huffman codes follow them.
+  // The bits are packed into 7 bits per character (U+0000 - U+007F).
+  function Huffman(options) {
+    this._init(options);
+  }
+
+  Huffman.prototype = {
+    _init: function(options) {
+      options = options || {};
+
+      this._strict = options.strict;
+      this._offset = options.offset || 0;
+    },
+    _createTable: function() {
+      var table = {};
+      for (var i = 0; i < TABLE_LENGTH; i++) {
+        table[TABLE.charAt(i)] = i;
+      }
+      return table;
+    },
+    compress: function(data) {
+      var table = this._createTable();
+      var freqs = [];
+      var results = [];
+      var buffer = 0;
+      var count = 0;
+      var lengths, codes, i, c, run;
+
+      function write(value, bits) {
+        buffer = (buffer << bits) | value;
+        count += bits;
+        while (count >= 7) {
+          count -= 7;
+          results[results.length] = (buffer >> count) & 0x7f;
+        }
+        buffer &= (1 << count) - 1;
+      }
+
+      for (i = 0; i < HUFFMAN_SYMBOLS; i++) {
+        freqs[i] = 0;
+      }
+      for (i = 0; i < data.length; i++) {
+        freqs[table[data.charAt(i)]]++;
+      }
+      freqs[HUFFMAN_END] = 1;
+
+      lengths = createHuffmanLengths(freqs, HUFFMAN_MAX_BITS);
+      codes = createHuffmanCodes(lengths);
+
+      for (i = 0; i < HUFFMAN_SYMBOLS; i += run) {
+        run = 1;
+        if (lengths[i] === 0) {
+          while (run < 16 && i + run < HUFFMAN_SYMBOLS && lengths[i + run] === 0) {
+            run++;
+          }
+          write(0, 4);
+          write(run - 1, 4);
+        } else {
+          write(lengths[i], 4);
+        }
+      }
+
+      for (i = 0; i < data.length; i++) {
+        c = table[data.charAt(i)];
+        write(codes[c], lengths[c]);
+      }
+      write(codes[HUFFMAN_END], lengths[HUFFMAN_END]);
+
+      if (count > 0) {
+        write(0, 7 - count);
+      }
+      return bufferToString_fast(results);
+    },
+    _startDecompress: function() {
+      this._buffer = 0;
+      this._count = 0;
+      this._lengths = [];
+      this._decoder = null;
+      this._ended = false;
+      this._position = this._offset;
+    },
+    // Reads the code lengths as far as the buffer has.
+    _readLengths: function() {
+      var lengths = this._lengths;
+      var value, run;
+
+      while (lengths.length < HUFFMAN_SYMBOLS && this._count >= 4) {
+        value = (this._buffer >> (this._count - 4)) & 0xf;
+        if (value !== 0) {
+          lengths[lengths.length] = value;
+          this._count -= 4;
+          continue;
+        }
+
+        if (this._count < 8) {
+          break;
+        }
+        run = ((this._buffer >> (this._count - 8)) & 0xf) + 1;
+        if (lengths.length + run > HUFFMAN_SYMBOLS && this._strict) {
+          throw new LZJSError('Invalid Huffman table', 'E_BAD_TYPE', this._position);
+        }
+        while (run-- > 0 && lengths.length < HUFFMAN_SYMBOLS) {
+          lengths[lengths.length] = 0;
+        }
+        this._count -= 8;
+      }
+      this._buffer &= (1 << this._count) - 1;
+
+      if (lengths.length === HUFFMAN_SYMBOLS) {
+        this._decoder = new HuffmanDecoder(lengths, this._position);
+      }
+    },
+    // Decodes the codes that follow the previous written data to the LZSS tokens.
+    _writeDecompress: function(data) {
+      var results = [];
+      var decoder = this._decoder;
+      var len = data.length;
+      var i, c;
+
+      for (i = 0; i < len && !this._ended; i++) {
+        c = data.charCodeAt(i);
+        if (c > 0x7f) {
+          if (this._strict) {
+            throw new LZJSError('Unknown character', 'E_BAD_TYPE', this._position + i);
+          }
+          continue;
+        }
+
+        this._buffer = (this._buffer << 7) | c;
+        this._count += 7;
+
+        if (decoder === null) {
+          this._readLengths();
+          decoder = this._decoder;
+          if (decoder === null) {
+            continue;
+          }
+        }
+
+        while (this._count > 0) {
+          c = decoder.decodeBit((this._buffer >> --this._count) & 1);
+          if (c === HUFFMAN_CONTINUE) {
+            continue;
+          }
+          if (c === HUFFMAN_INVALID) {
+            if (this._strict) {
+              throw new LZJSError('Invalid Huffman code', 'E_BAD_REFERENCE', this._position + i);
+            }
+            continue;
+          }
+          if (c === HUFFMAN_END) {
+            this._ended = true;
+            break;
+          }
+          results[results.length] = TABLE.charCodeAt(c);
+        }
+        this._buffer &= (1 << this._count) - 1;
+      }
+
+      this._position += len;
+      return bufferToString_fast(results);
+    },
+    // Throws if the end code is not found in strict or if required.
+    _endDecompress: function(required) {
+      if (!this._ended && (this._strict || required)) {
+        throw new LZJSError('Unexpected end of data', 'E_TRUNCATED', this._position);
+      }
+    },
+    decompress: function(data) {
+      var result;
+
+      this._startDecompress();
+      result = this._writeDecompress(data);
+      this._endDecompress();
+      return result;
+    }
+  };
+
+
+  // PPM (prediction by partial matching) of the UTF-8 bytes with the range coder
+  // Each byte is coded by the counts of the longest context of the previous bytes
+  // that has seen it, and the escapes to the shorter contexts are coded before it (PPMD).
+  // The bytes of the longer contexts are excluded from the shorter contexts.
+  // The bytes of the range coder are packed into 7 bits per character as Huffman.
+  function PPM(options) {
+    this._init(options);
+  }
+
+  PPM.prototype = {
+    _init: function(options) {
+      options = options || {};
+
+      this._maxBytes = options.maxBytes;
+      this._strict = options.strict;
+      this._offset = options.offset || 0;
+      this._maxLength = options.maxLength != null ? options.maxLength : Infinity;
+    },
+    _createNode: function() {
+      this._contextCount++;
+      return { symbols: [], counts: [], total: 0, children: null };
+    },
+    _startModel: function() {
+      this._contextCount = 0;
+      this._root = this._createNode();
+      this._history = [];
+      this._excluded = createBuffer(32, PPM_SYMBOLS);
+      this._stamp = 0;
+
+      if (!HAS_TYPED) {
+        for (var i = 0; i < PPM_SYMBOLS; i++) {
+          this._excluded[i] = 0;
+        }
+      }
+    },
+    // The contexts of the order 0 to the longest one that has been seen
+    _findContexts: function() {
+      var nodes = [this._root];
+      var node = this._root;
+      var history = this._history;
+
+      for (var i = 0; i < history.length; i++) {
+        node = node.children && node.children[history[i]];
+        if (!node) {
+          break;
+        }
+        nodes[nodes.length] = node;
+      }
+      return nodes;
+    },
+    // Adds the symbol to the contexts from the order that coded it to the longest.
+    _update: function(nodes, order, c) {
+      var history = this._history;
+      var node, parent, i, k;
+
+      for (k = Math.max(order, 0); k <= history.length; k++) {
+        if (k < nodes.length) {
+          node = nodes[k];
+        } else {
+          parent = nodes[k - 1];
+          parent.children = parent.children || [];
+          node = parent.children[history[k - 1]] = this._createNode();
+          nodes[k] = node;
+        }
+
+        for (i = 0; i < node.symbols.length; i++) {
+          if (node.symbols[i] === c) {
+            break;
+          }
+        }
+        if (i < node.symbols.length) {
+          node.counts[i] += 2;
+          node.total += 2;
+        } else {
+          node.symbols[i] = c;
+          node.counts[i] = 1;
+          node.total++;
+        }
+
+        if (node.total > PPM_MAX_TOTAL) {
+          node.total = 0;
+          for (i = 0; i < node.counts.length; i++) {
+            node.counts[i] = (node.counts[i] + 1) >> 1;
+            node.total += node.counts[i];
+          }
+        }
+      }
+
+      history.unshift(c);
+      if (history.length > PPM_ORDER) {
+        history.pop();
+      }
+      if (this._contextCount > PPM_MAX_CONTEXTS) {
+        this._contextCount = 0;
+        this._root = this._createNode();
+      }
+    },
+    // Total count of the symbols that are not excluded
+    _countTotal: function(node) {
+      var excluded = this._excluded;
+      var stamp = this._stamp;
+      var total = 0;
+
+      for (var i = 0; i < node.symbols.length; i++) {
+        if (excluded[node.symbols[i]] !== stamp) {
+          total += node.counts[i];
+        }
+      }
+      return total;
+    },
+    // Number of the symbols that are not excluded, and excludes them.
+    _exclude: function(node) {
+      var excluded = this._excluded;
+      var stamp = this._stamp;
+      var count = 0;
+
+      for (var i = 0; i < node.symbols.length; i++) {
+        if (excluded[node.symbols[i]] !== stamp) {
+          excluded[node.symbols[i]] = stamp;
+          count++;
+        }
+      }
+      return count;
+    },
+    // Number of the symbols of the order -1 that are not excluded
+    _countRest: function() {
+      var count = 0;
+      for (var i = 0; i < PPM_SYMBOLS; i++) {
+        if (this._excluded[i] !== this._stamp) {
+          count++;
+        }
+      }
+      return count;
+    },
+    _writeByte: function(c) {
+      this._buffer = (this._buffer << 8) | c;
+      this._count += 8;
+      while (this._count >= 7) {
+        this._count -= 7;
+        this._results[this._results.length] = (this._buffer >> this._count) & 0x7f;
+      }
+      this._buffer &= (1 << this._count) - 1;
+    },
+    _encode: function(start, size, total) {
+      var r = Math.floor(this._range / total);
+
+      this._low += r * start;
+      this._range = r * size;
+      while (this._range < RANGE_TOP) {
+        this._range *= 256;
+        this._shiftLow();
+      }
+    },
+    // Writes the top byte of low, and the pending 0xff bytes that wait for a carry.
+    _shiftLow: function() {
+      var low = this._low % RANGE_CARRY;
+      var carry = this._low >= RANGE_CARRY ? 1 : 0;
+
+      if (low < 0xff000000 || carry) {
+        this._writeByte((this._cache + carry) & 0xff);
+        for (; this._cacheSize > 1; this._cacheSize--) {
+          this._writeByte((0xff + carry) & 0xff);
+        }
+        this._cacheSize = 0;
+        this._cache = Math.floor(low / RANGE_TOP);
+      }
+      this._cacheSize++;
+      this._low = (low % RANGE_TOP) * 256;
+    },
+    _encodeSymbol: function(c) {
+      var nodes = this._findContexts();
+      var order, node, total, start, size, i, s, count;
+
+      this._stamp++;
+      for (order = nodes.length - 1; order >= 0; order--) {
+        node = nodes[order];
+        total = this._countTotal(node);
+        if (total === 0) {
+          continue;
+        }
+
+        start = 0;
+        size = 0;
+        for (i = 0; i < node.symbols.length; i++) {
+          s = node.symbols[i];
+          if (this._excluded[s] === this._stamp) {
+            continue;
+          }
+          if (s === c) {
+            size = node.counts[i];
+            break;
+          }
+          start += node.counts[i];
+        }
+
+        if (size > 0) {
+          this._encode(start, size, total + this._countDistinct(node));
+          this._update(nodes, order, c);
+          return;
+        }
+
+        // Escape
+        count = this._exclude(node);
+        this._encode(total, count, total + count);
+      }
+
+      start = 0;
+      for (i = 0; i < c; i++) {
+        if (this._excluded[i] !== this._stamp) {
+          start++;
+        }
+      }
+      this._encode(start, 1, this._countRest());
+      this._update(nodes, -1, c);
+    },
+    // Number of the symbols that are not excluded
+    _countDistinct: function(node) {
+      var count = 0;
+      for (var i = 0; i < node.symbols.length; i++) {
+        if (this._excluded[node.symbols[i]] !== this._stamp) {
+          count++;
+        }
+      }
+      return count;
+    },
+    // Compresses the binary string.
+    // Returns false if the output exceeds maxBytes.
+    compress: function(data) {
+      var i;
+
+      this._startModel();
+      this._results = [];
+      this._buffer = 0;
+      this._count = 0;
+      this._low = 0;
+      this._range = RANGE_CARRY - 1;
+      this._cache = 0;
+      this._cacheSize = 1;
+
+      for (i = 0; i < data.length; i++) {
+        this._encodeSymbol(data.charCodeAt(i));
+        if (this._results.length > this._maxBytes) {
+          return false;
+        }
+      }
+      this._encodeSymbol(PPM_END);
+
+      for (i = 0; i < 5; i++) {
+        this._shiftLow();
+      }
+      if (this._count > 0) {
+        this._results[this._results.length] = (this._buffer << (7 - this._count)) & 0x7f;
+      }
+      if (this._results.length > this._maxBytes) {
+        return false;
+      }
+      return bufferToString_fast(this._results);
+    },
+    _startDecompress: function() {
+      this._startModel();
+      this._input = [];
+      this._inputIndex = 0;
+      this._buffer = 0;
+      this._count = 0;
+      this._code = 0;
+      this._range = RANGE_CARRY - 1;
+      this._started = false;
+      this._ended = false;
+      this._final = false;
+      this._length = 0;
+      this._position = this._offset;
+    },
+    _readByte: function() {
+      if (this._inputIndex < this._input.length) {
+        return this._input[this._inputIndex++];
+      }
+      throw new LZJSError('Unexpected end of data', 'E_TRUNCATED', this._position);
+    },
+    _decodeTarget: function(total) {
+      this._r = Math.floor(this._range / total);
+      return Math.min(Math.floor(this._code / this._r), total - 1);
+    },
+    _decodeUpdate: function(start, size) {
+      this._code -= this._r * start;
+      this._range = this._r * size;
+      while (this._range < RANGE_TOP) {
+        this._code = this._code * 256 + this._readByte();
+        this._range *= 256;
+      }
+    },
+    _decodeSymbol: function() {
+      var nodes = this._findContexts();
+      var order, node, total, target, start, count, i, s;
+
+      this._stamp++;
+      for (order = nodes.length - 1; order >= 0; order--) {
+        node = nodes[order];
+        total = this._countTotal(node);
+        if (total === 0) {
+          continue;
+        }
+
+        count = this._countDistinct(node);
+        target = this._decodeTarget(total + count);
+        if (target >= total) {
+          // Escape
+          this._decodeUpdate(total, count);
+          this._exclude(node);
+          continue;
+        }
+
+        start = 0;
+        for (i = 0; i < node.symbols.length; i++) {
+          s = node.symbols[i];
+          if (this._excluded[s] === this._stamp) {
+            continue;
+          }
+          if (target < start + node.counts[i]) {
+            this._decodeUpdate(start, node.counts[i]);
+            this._update(nodes, order, s);
+            return s;
+          }
+          start += node.counts[i];
+        }
+      }
+
+      target = this._decodeTarget(this._countRest());
+      this._decodeUpdate(target, 1);
+      for (s = 0; s < PPM_SYMBOLS; s++) {
+        if (this._excluded[s] !== this._stamp && target-- === 0) {
+          break;
+        }
+      }
+      this._update(nodes, -1, s);
+      return s;
+    },
+    // Decodes the bytes as far as the data has.
+    // A symbol is decoded when the lookahead of the range coder is available until the end.
+    _writeDecompress: function(data) {
+      var results = [];
+      var len = data.length;
+      var i, c;
+
+      for (i = 0; i < len; i++) {
+        c = data.charCodeAt(i);
+        if (c > 0x7f) {
+          if (this._strict) {
+            throw new LZJSError('Unknown character', 'E_BAD_TYPE', this._position + i);
+          }
+          continue;
+        }
+
+        this._buffer = (this._buffer << 7) | c;
+        this._count += 7;
+        if (this._count >= 8) {
+          this._count -= 8;
+          this._input[this._input.length] = (this._buffer >> this._count) & 0xff;
+          this._buffer &= (1 << this._count) - 1;
+        }
+      }
+      this._position += len;
+
+      this._decodeSymbols(results);
+      return bufferToString_fast(results);
+    },
+    _decodeSymbols: function(results) {
+      var c;
+
+      if (!this._started) {
+        if (this._input.length < 5 && !this._final) {
+          return;
+        }
+        this._started = true;
+        for (c = 0; c < 5; c++) {
+          this._code = this._code * 256 + this._readByte();
+        }
       }
 
-      while (i < len) {
-        c = data.charCodeAt(i++);
+      while (!this._ended &&
+             (this._final || this._input.length - this._inputIndex >= PPM_LOOKAHEAD)) {
+        c = this._decodeSymbol();
+        if (c === PPM_END) {
+          this._ended = true;
+          break;
+        }
+        if (++this._length > this._maxLength) {
+          throw createLimitError(this._position);
+        }
+        results[results.length] = c;
+      }
+
+      if (this._inputIndex > 0x10000) {
+        this._input = this._input.slice(this._inputIndex);
+        this._inputIndex = 0;
+      }
+    },
+    // Returns the rest of the bytes.
+    // Throws if the end is not found in strict or if required.
+    _endDecompress: function(required) {
+      var results = [];
+
+      this._final = true;
+      try {
+        this._decodeSymbols(results);
+      } catch (e) {
+        if (this._strict || required || e.code !== 'E_TRUNCATED') {
+          throw e;
+        }
+      }
+      return bufferToString_fast(results);
+    },
+    decompress: function(data) {
+      var result;
+
+      this._startDecompress();
+      result = this._writeDecompress(data);
+      return result + this._endDecompress();
+    }
+  };
+
+
+  // Deflate compression (RFC 1951) in the zlib format (RFC 1950)
+  // The matches are found by the hash chains of LZSS in the window of 32K bytes,
+  // and each block is written by the dynamic, fixed Huffman codes or stored as is.
+  function Deflate(options) {
+    this._init(options);
+  }
+
+  Deflate.prototype = {
+    _init: function(options) {
+      options = options || {};
+
+      var level = options.level == null ? DEFLATE_DEFAULT_LEVEL : options.level;
+      var params = DEFLATE_LEVELS[level];
+      if (!params) {
+        throw new Error('Invalid compression level: ' + level);
+      }
+
+      this._level = level;
+      this._raw = !!options.raw;
+      this._niceLength = params[0];
+      this._parse = params[2];
+      this._chain = new HashChain({
+        windowSize: DEFLATE_WINDOW,
+        niceLength: params[0],
+        chainLength: params[1]
+      });
+    },
+    _start: function() {
+      this._results = [];
+      this._bitBuffer = 0;
+      this._bitCount = 0;
+      // Literals or match lengths, and distances (0 is a literal)
+      this._literals = createBuffer(16, DEFLATE_BLOCK_SIZE);
+      this._distances = createBuffer(16, DEFLATE_BLOCK_SIZE);
+      this._count = 0;
+      this._chain._start();
+    },
+    _end: function() {
+      var results = this._results;
+      this._results = this._literals = this._distances = null;
+      this._chain._end();
+
+      var buffer = createBuffer(8, results.length);
+      for (var i = 0; i < results.length; i++) {
+        buffer[i] = results[i];
+      }
+      return buffer;
+    },
+    _writeBits: function(value, bits) {
+      this._bitBuffer |= value << this._bitCount;
+      this._bitCount += bits;
+      while (this._bitCount >= 8) {
+        this._results[this._results.length] = this._bitBuffer & 0xff;
+        this._bitBuffer >>>= 8;
+        this._bitCount -= 8;
+      }
+    },
+    _alignBits: function() {
+      if (this._bitCount > 0) {
+        this._results[this._results.length] = this._bitBuffer & 0xff;
+      }
+      this._bitBuffer = this._bitCount = 0;
+    },
+    // CMF (32K window) and FLG with the level
+    _writeHeader: function() {
+      var level = this._level < 2 ? 0 : this._level < 6 ? 1 : this._level === 6 ? 2 : 3;
+      var header = 0x7800 | (level << 6);
+
+      header += 31 - header % 31;
+      this._results.push(header >> 8, header & 0xff);
+    },
+    _writeChecksum: function(data) {
+      var adler = adler32(data);
+      this._results.push(adler >>> 24, (adler >>> 16) & 0xff, (adler >>> 8) & 0xff, adler & 0xff);
+    },
+    // Returns the length of the longest match at the position or 0.
+    _search: function(data, i) {
+      var len = Math.min(DEFLATE_MAX_MATCH, data.length - i);
+      if (len < DEFLATE_MIN_MATCH) {
+        return 0;
+      }
+
+      var length = this._chain.search(data, i, i, len);
+      if (length < DEFLATE_MIN_MATCH ||
+          (length === DEFLATE_MIN_MATCH && this._chain.distance > DEFLATE_TOO_FAR)) {
+        return 0;
+      }
+      return length;
+    },
+    _deflate: function(data) {
+      var chain = this._chain;
+      var len = data.length;
+      var start = 0;
+      var inserted = 0;
+      var i = 0;
+      var length, distance;
+
+      while (i < len) {
+        for (; inserted < i && inserted < len - 1; inserted++) {
+          chain.insert(data, inserted, inserted);
+        }
+
+        length = this._search(data, i);
+        distance = chain.distance;
+
+        // Lazy matching: a literal is written if the next match is longer.
+        if (length > 0 && length < this._niceLength &&
+            this._parse === PARSE_LAZY && i + 1 < len) {
+          chain.insert(data, i, i);
+          inserted = i + 1;
+          if (this._search(data, i + 1) > length) {
+            length = 0;
+          }
+        }
+
+        if (length > 0) {
+          this._literals[this._count] = length;
+          this._distances[this._count++] = distance;
+          i += length;
+        } else {
+          this._literals[this._count] = data[i];
+          this._distances[this._count++] = 0;
+          i++;
+        }
+
+        if (this._count === DEFLATE_BLOCK_SIZE) {
+          this._writeBlock(data, start, i, false);
+          start = i;
+        }
+      }
+
+      this._writeBlock(data, start, len, true);
+    },
+    _writeBlock: function(data, start, end, last) {
+      var literalFreqs = [];
+      var distanceFreqs = [];
+      var extraBits = 0;
+      var i, c, dynamic, fixed, dynamicBits, fixedBits, storedBits;
+
+      for (i = 0; i < DEFLATE_LITERALS; i++) {
+        literalFreqs[i] = 0;
+      }
+      for (i = 0; i < DEFLATE_DISTANCES; i++) {
+        distanceFreqs[i] = 0;
+      }
+
+      for (i = 0; i < this._count; i++) {
+        if (this._distances[i] === 0) {
+          literalFreqs[this._literals[i]]++;
+        } else {
+          c = DEFLATE_LENGTH_CODES[this._literals[i]];
+          literalFreqs[DEFLATE_END + 1 + c]++;
+          extraBits += DEFLATE_LENGTH_EXTRA[c];
+          c = distanceCode(this._distances[i]);
+          distanceFreqs[c]++;
+          extraBits += DEFLATE_DISTANCE_EXTRA[c];
+        }
+      }
+      literalFreqs[DEFLATE_END] = 1;
+
+      dynamic = this._createDynamic(literalFreqs, distanceFreqs);
+      fixed = createFixedLengths();
+      dynamicBits = 3 + dynamic.bits + extraBits +
+        this._countBits(literalFreqs, dynamic.literals) +
+        this._countBits(distanceFreqs, dynamic.distances);
+      fixedBits = 3 + extraBits +
+        this._countBits(literalFreqs, fixed[0]) +
+        this._countBits(distanceFreqs, fixed[1]);
+      storedBits = (end - start) * 8 +
+        Math.max(1, Math.ceil((end - start) / DEFLATE_STORED_MAX)) * (3 + 7 + 32);
+
+      if (storedBits < Math.min(dynamicBits, fixedBits)) {
+        this._writeStored(data, start, end, last);
+      } else if (fixedBits <= dynamicBits) {
+        this._writeBits(last ? 1 : 0, 1);
+        this._writeBits(1, 2);
+        this._writeCodes(fixed[0], fixed[1]);
+      } else {
+        this._writeBits(last ? 1 : 0, 1);
+        this._writeBits(2, 2);
+        this._writeDynamic(dynamic);
+        this._writeCodes(dynamic.literals, dynamic.distances);
+      }
+      this._count = 0;
+    },
+    _countBits: function(freqs, lengths) {
+      var bits = 0;
+      for (var i = 0; i < freqs.length; i++) {
+        bits += freqs[i] * lengths[i];
+      }
+      return bits;
+    },
+    // Code lengths of the dynamic Huffman codes and the run-length encoded header of them
+    _createDynamic: function(literalFreqs, distanceFreqs) {
+      var literals = createHuffmanLengths(literalFreqs, HUFFMAN_MAX_BITS);
+      var distances = createHuffmanLengths(distanceFreqs, HUFFMAN_MAX_BITS);
+      var literalCount = DEFLATE_LITERALS;
+      var distanceCount = DEFLATE_DISTANCES;
+      var codeCount = DEFLATE_CODE_LENGTHS;
+      var freqs = [];
+      var runs = [];
+      var bits = 0;
+      var lengths, codeLengths, i, j, n, run, used;
+
+      while (literalCount > DEFLATE_END + 1 && literals[literalCount - 1] === 0) {
+        literalCount--;
+      }
+      while (distanceCount > 1 && distances[distanceCount - 1] === 0) {
+        distanceCount--;
+      }
+      lengths = literals.slice(0, literalCount).concat(distances.slice(0, distanceCount));
+
+      // 16: Repeats the previous length 3 - 6 times, 17: 3 - 10 zeros, 18: 11 - 138 zeros
+      for (i = 0; i < lengths.length; i += run) {
+        n = lengths[i];
+        run = 1;
+        while (i + run < lengths.length && lengths[i + run] === n) {
+          run++;
+        }
+
+        if (n === 0 && run >= 11) {
+          run = Math.min(run, 138);
+          runs.push(18, run - 11);
+        } else if (n === 0 && run >= 3) {
+          runs.push(17, run - 3);
+        } else if (n !== 0 && run >= 4) {
+          run = Math.min(run, 7);
+          runs.push(n, 0, 16, run - 4);
+        } else {
+          run = 1;
+          runs.push(n, 0);
+        }
+      }
+
+      for (i = 0; i < DEFLATE_CODE_LENGTHS; i++) {
+        freqs[i] = 0;
+      }
+      for (i = 0; i < runs.length; i += 2) {
+        freqs[runs[i]]++;
+      }
+
+      // A single code is not a complete code of the code lengths.
+      used = 0;
+      for (i = 0; i < DEFLATE_CODE_LENGTHS; i++) {
+        if (freqs[i] > 0) {
+          used++;
+          j = i;
+        }
+      }
+      if (used === 1) {
+        freqs[j === 0 ? 1 : 0] = 1;
+      }
+
+      codeLengths = createHuffmanLengths(freqs, 7);
+      while (codeCount > 4 && codeLengths[DEFLATE_CODE_ORDER[codeCount - 1]] === 0) {
+        codeCount--;
+      }
+
+      bits = 5 + 5 + 4 + codeCount * 3;
+      for (i = 0; i < runs.length; i += 2) {
+        bits += codeLengths[runs[i]];
+        bits += runs[i] === 16 ? 2 : runs[i] === 17 ? 3 : runs[i] === 18 ? 7 : 0;
+      }
+
+      return {
+        literals: literals,
+        distances: distances,
+        literalCount: literalCount,
+        distanceCount: distanceCount,
+        codeLengths: codeLengths,
+        codeCount: codeCount,
+        runs: runs,
+        bits: bits
+      };
+    },
+    _writeDynamic: function(dynamic) {
+      var lengths = dynamic.codeLengths;
+      var codes = reverseCodes(createHuffmanCodes(lengths), lengths);
+      var runs = dynamic.runs;
+      var i, c;
+
+      this._writeBits(dynamic.literalCount - DEFLATE_END - 1, 5);
+      this._writeBits(dynamic.distanceCount - 1, 5);
+      this._writeBits(dynamic.codeCount - 4, 4);
+      for (i = 0; i < dynamic.codeCount; i++) {
+        this._writeBits(lengths[DEFLATE_CODE_ORDER[i]], 3);
+      }
+
+      for (i = 0; i < runs.length; i += 2) {
+        c = runs[i];
+        this._writeBits(codes[c], lengths[c]);
+        if (c >= 16) {
+          this._writeBits(runs[i + 1], c === 16 ? 2 : c === 17 ? 3 : 7);
+        }
+      }
+    },
+    _writeCodes: function(literalLengths, distanceLengths) {
+      var literalCodes = reverseCodes(createHuffmanCodes(literalLengths), literalLengths);
+      var distanceCodes = reverseCodes(createHuffmanCodes(distanceLengths), distanceLengths);
+      var i, c, length, distance;
+
+      for (i = 0; i < this._count; i++) {
+        length = this._literals[i];
+        distance = this._distances[i];
+
+        if (distance === 0) {
+          this._writeBits(literalCodes[length], literalLengths[length]);
+          continue;
+        }
+
+        c = DEFLATE_LENGTH_CODES[length];
+        this._writeBits(literalCodes[DEFLATE_END + 1 + c], literalLengths[DEFLATE_END + 1 + c]);
+        this._writeBits(length - DEFLATE_LENGTH_BASE[c], DEFLATE_LENGTH_EXTRA[c]);
+
+        c = distanceCode(distance);
+        this._writeBits(distanceCodes[c], distanceLengths[c]);
+        this._writeBits(distance - DEFLATE_DISTANCE_BASE[c], DEFLATE_DISTANCE_EXTRA[c]);
+      }
+      this._writeBits(literalCodes[DEFLATE_END], literalLengths[DEFLATE_END]);
+    },
+    _writeStored: function(data, start, end, last) {
+      var results = this._results;
+      var size, i;
+
+      do {
+        size = Math.min(end - start, DEFLATE_STORED_MAX);
+        this._writeBits(last && start + size === end ? 1 : 0, 1);
+        this._writeBits(0, 2);
+        this._alignBits();
+        results.push(size & 0xff, size >> 8, ~size & 0xff, (~size >> 8) & 0xff);
+        for (i = 0; i < size; i++) {
+          results[results.length] = data[start + i];
+        }
+        start += size;
+      } while (start < end);
+    },
+    // Compresses the binary string.
+    compress: function(data) {
+      var bytes = stringToBuffer(data, 8);
+
+      this._start();
+      if (!this._raw) {
+        this._writeHeader();
+      }
+      this._deflate(bytes);
+      this._alignBits();
+      if (!this._raw) {
+        this._writeChecksum(data);
+      }
+      return this._end();
+    }
+  };
+
+
+  // Deflate decompression (RFC 1951) of the zlib format (RFC 1950)
+  function Inflate(options) {
+    this._init(options);
+  }
+
+  Inflate.prototype = {
+    _init: function(options) {
+      options = options || {};
+
+      this._raw = !!options.raw;
+      this._maxLength = options.maxOutputLength != null ? options.maxOutputLength : Infinity;
+    },
+    _start: function(data) {
+      this._data = data;
+      this._position = 0;
+      this._bitBuffer = 0;
+      this._bitCount = 0;
+      this._output = createBuffer(8, Math.max(1024, data.length * 4));
+      this._length = 0;
+    },
+    _end: function() {
+      var output = truncateBuffer(this._output, this._length);
+      this._data = this._output = null;
+      return output;
+    },
+    _readBits: function(bits) {
+      var value;
+
+      while (this._bitCount < bits) {
+        if (this._position >= this._data.length) {
+          throw new LZJSError('Unexpected end of data', 'E_TRUNCATED', this._position);
+        }
+        this._bitBuffer |= this._data[this._position++] << this._bitCount;
+        this._bitCount += 8;
+      }
+
+      value = this._bitBuffer & ((1 << bits) - 1);
+      this._bitBuffer >>>= bits;
+      this._bitCount -= bits;
+      return value;
+    },
+    _readByte: function() {
+      if (this._position >= this._data.length) {
+        throw new LZJSError('Unexpected end of data', 'E_TRUNCATED', this._position);
+      }
+      return this._data[this._position++];
+    },
+    // Makes room for the length of the output.
+    _grow: function(length) {
+      var size = this._length + length;
+      var output;
+
+      if (size > this._maxLength) {
+        throw createLimitError(this._position);
+      }
+      if (!HAS_TYPED || size <= this._output.length) {
+        return;
+      }
+
+      output = createBuffer(8, Math.max(size, this._output.length * 2));
+      output.set(this._output);
+      this._output = output;
+    },
+    _readHeader: function() {
+      var cmf = this._readByte();
+      var flg = this._readByte();
+
+      if ((cmf & 0xf) !== 8 || (cmf >> 4) > 7 || (cmf * 256 + flg) % 31 !== 0) {
+        throw new LZJSError('Invalid zlib header', 'E_BAD_TYPE', 0);
+      }
+      if (flg & 0x20) {
+        throw new LZJSError('Preset dictionary is not supported', 'E_BAD_TYPE', 1);
+      }
+    },
+    _readChecksum: function() {
+      var adler = 0;
+
+      // The rest of the bits of the last byte are ignored.
+      this._bitBuffer = this._bitCount = 0;
+      for (var i = 0; i < 4; i++) {
+        adler = adler * 256 + this._readByte();
+      }
+
+      if (adler !== adler32(bufferToString_fast(this._output, this._length))) {
+        throw new LZJSError('Checksum mismatch', 'E_CHECKSUM', this._position);
+      }
+    },
+    _createTable: function(lengths) {
+      return new HuffmanDecoder(lengths, this._position);
+    },
+    // Canonical Huffman decoding by each bit
+    _decode: function(table) {
+      var c;
+
+      for (;;) {
+        if (this._bitCount === 0) {
+          if (this._position >= this._data.length) {
+            throw new LZJSError('Unexpected end of data', 'E_TRUNCATED', this._position);
+          }
+          this._bitBuffer = this._data[this._position++];
+          this._bitCount = 8;
+        }
+        c = table.decodeBit(this._bitBuffer & 1);
+        this._bitBuffer >>>= 1;
+        this._bitCount--;
+
+        if (c === HUFFMAN_INVALID) {
+          throw new LZJSError('Invalid Huffman code', 'E_BAD_REFERENCE', this._position);
+        }
+        if (c !== HUFFMAN_CONTINUE) {
+          return c;
+        }
+      }
+    },
+    _inflateStored: function() {
+      var size, i;
+
+      this._bitBuffer = this._bitCount = 0;
+      size = this._readByte() | (this._readByte() << 8);
+      if ((this._readByte() | (this._readByte() << 8)) !== (~size & 0xffff)) {
+        throw new LZJSError('Invalid stored block length', 'E_BAD_TYPE', this._position);
+      }
+      if (this._position + size > this._data.length) {
+        throw new LZJSError('Unexpected end of data', 'E_TRUNCATED', this._data.length);
+      }
+
+      this._grow(size);
+      for (i = 0; i < size; i++) {
+        this._output[this._length++] = this._data[this._position++];
+      }
+    },
+    _inflateDynamic: function() {
+      var literalCount = this._readBits(5) + DEFLATE_END + 1;
+      var distanceCount = this._readBits(5) + 1;
+      var codeCount = this._readBits(4) + 4;
+      var codeLengths = [];
+      var lengths = [];
+      var table, i, c, n, run;
+
+      if (literalCount > DEFLATE_LITERALS || distanceCount > DEFLATE_DISTANCES) {
+        throw new LZJSError('Invalid Huffman table', 'E_BAD_TYPE', this._position);
+      }
+
+      for (i = 0; i < DEFLATE_CODE_LENGTHS; i++) {
+        codeLengths[i] = 0;
+      }
+      for (i = 0; i < codeCount; i++) {
+        codeLengths[DEFLATE_CODE_ORDER[i]] = this._readBits(3);
+      }
+      table = this._createTable(codeLengths);
+
+      while (lengths.length < literalCount + distanceCount) {
+        c = this._decode(table);
+        if (c < 16) {
+          lengths[lengths.length] = c;
+          continue;
+        }
+
+        if (c === 16) {
+          if (lengths.length === 0) {
+            throw new LZJSError('Invalid Huffman table', 'E_BAD_TYPE', this._position);
+          }
+          n = lengths[lengths.length - 1];
+          run = this._readBits(2) + 3;
+        } else {
+          n = 0;
+          run = c === 17 ? this._readBits(3) + 3 : this._readBits(7) + 11;
+        }
+        if (lengths.length + run > literalCount + distanceCount) {
+          throw new LZJSError('Invalid Huffman table', 'E_BAD_TYPE', this._position);
+        }
+        while (run-- > 0) {
+          lengths[lengths.length] = n;
+        }
+      }
+
+      if (lengths[DEFLATE_END] === 0) {
+        throw new LZJSError('Invalid Huffman table', 'E_BAD_TYPE', this._position);
+      }
+
+      this._inflateCodes(
+        this._createTable(lengths.slice(0, literalCount)),
+        this._createTable(lengths.slice(literalCount))
+      );
+    },
+    _inflateCodes: function(literals, distances) {
+      var output, c, length, distance, i;
+
+      for (;;) {
+        c = this._decode(literals);
+        if (c < DEFLATE_END) {
+          this._grow(1);
+          this._output[this._length++] = c;
+          continue;
+        }
+        if (c === DEFLATE_END) {
+          return;
+        }
+
+        c -= DEFLATE_END + 1;
+        if (c >= DEFLATE_LENGTH_BASE.length) {
+          throw new LZJSError('Invalid length code', 'E_BAD_REFERENCE', this._position);
+        }
+        length = DEFLATE_LENGTH_BASE[c] + this._readBits(DEFLATE_LENGTH_EXTRA[c]);
+
+        c = this._decode(distances);
+        if (c >= DEFLATE_DISTANCES) {
+          throw new LZJSError('Invalid distance code', 'E_BAD_REFERENCE', this._position);
+        }
+        distance = DEFLATE_DISTANCE_BASE[c] + this._readBits(DEFLATE_DISTANCE_EXTRA[c]);
+        if (distance > this._length) {
+          throw new LZJSError('Invalid back-reference', 'E_BAD_REFERENCE', this._position);
+        }
+
+        this._grow(length);
+        output = this._output;
+        for (i = this._length; i < this._length + length; i++) {
+          output[i] = output[i - distance];
+        }
+        this._length += length;
+      }
+    },
+    // Decompresses the bytes.
+    decompress: function(data) {
+      var fixed, last, type;
+
+      this._start(data);
+      if (!this._raw) {
+        this._readHeader();
+      }
+
+      do {
+        last = this._readBits(1);
+        type = this._readBits(2);
+
+        switch (type) {
+          case 0:
+            this._inflateStored();
+            break;
+          case 1:
+            fixed = fixed || createFixedLengths();
+            this._inflateCodes(this._createTable(fixed[0]), this._createTable(fixed[1]));
+            break;
+          case 2:
+            this._inflateDynamic();
+            break;
+          default:
+            throw new LZJSError('Invalid block type', 'E_BAD_TYPE', this._position);
+        }
+      } while (!last);
+
+      if (!this._raw) {
+        this._readChecksum();
+      }
+      return this._end();
+    }
+  };
+
+
+  // LZJS Compression
+  function LZJS(options) {
+    this._init(options);
+  }
+
+  LZJS.prototype = {
+    _init: function(options) {
+      options = options || {};
+
+      //TODO: Validate utf-8 encoding for command line.
+      this._encoding = options.encoding || 'utf-8';
+      this._level = options.level;
+      this._dictionary = options.dictionary;
+      this._checksum = options.checksum;
+      this._header = options.header || !!options.checksum;
+      this._strict = options.strict;
+      // Offset of the type in the compressed data for errors
+      this._base = 0;
+      // Whether the data is verified by the header
+      this._verify = false;
+      this._maxOutputLength = options.maxOutputLength;
+      this._maxRatio = options.maxRatio;
+      this._maxLength = null;
+      this._alphabet = options.alphabet == null ? null : getAlphabetType(options.alphabet);
+      this._method = options.method == null ? 'auto' : options.method;
+      getLevelParams(this._level);
+
+      if (!hasOwnProperty.call(METHODS, this._method)) {
+        throw new Error('Unknown method: ' + this._method);
+      }
+      if (this._dictionary != null && /^(?:lzw|ppm)/.test(this._method)) {
+        throw new Error('Only LZSS can use the dictionary');
+      }
+    },
+    compress: function(data) {
+      return this.compressWithInfo(data).output;
+    },
+    // Returns the compressed data with the method and the byte lengths.
+    compressWithInfo: function(data) {
+      var compressed, dataBytes;
+
+      if (data == null || data.length === 0) {
+        return { output: '', method: 'none', inputBytes: 0, outputBytes: 0 };
+      }
+
+      data = '' + data;
+      dataBytes = byteLength(data);
+
+      switch (this._method) {
+        case 'auto':
+          compressed = this._compressAuto(data, dataBytes);
+          break;
+        case 'best':
+          compressed = this._compressBest(data, dataBytes);
+          break;
+        default:
+          compressed = this._compressBy(METHODS[this._method], data, dataBytes);
+          break;
+      }
+
+      return {
+        output: compressed.output,
+        method: METHOD_NAMES[compressed.type],
+        inputBytes: dataBytes,
+        outputBytes: byteLength(compressed.output)
+      };
+    },
+    // Chooses the method by the characters of the data.
+    // Returns null if maxBytes is given and the result exceeds it.
+    // Each method runs once. The first of the methods runs to the data size since it
+    // decides which method is used, and the other steps stop at maxBytes
+    // unless Huffman coding can make the LZSS tokens smaller after them.
+    _compressAuto: function(data, dataBytes, maxBytes) {
+      var asciiLimitBytes = dataBytes * 0.9 | 0;
+      var len = data.length;
+      var limited = maxBytes < dataBytes;
+      // Huffman needs the header that lzjs 1.x cannot read, so it is only used with the header.
+      var huffmanable = this._header && len >= HUFFMAN_MIN_LENGTH;
+      var options = {
+        maxBytes: dataBytes,
+        level: this._level,
+        dictionary: this._dictionary,
+        longMatch: this._header
+      };
+      var types, type, result, lzss, huffman, i, last, capped;
+
+      if (this._dictionary != null) {
+        // Only LZSS can use the dictionary.
+        types = 'S';
+      } else if (dataBytes === len) {
+        // Ascii string [U+0000 - U+007F]
+        types = 'WS';
+      } else if (dataBytes > len && asciiLimitBytes < len) {
+        // String that is included most of the ASCII.
+        types = 'US';
+      } else {
+        // Unicode string
+        types = 'SU';
+      }
+
+      // Uses the first method that compresses the data.
+      for (i = 0, result = false; result === false && i < types.length; i++) {
+        type = types.charAt(i);
+        last = i === types.length - 1;
+        // The last method is used if it compresses the data,
+        // so it does not fit if it exceeds maxBytes.
+        capped = limited && last && !(type === 'S' && huffmanable);
+        options.maxBytes = capped ? maxBytes : dataBytes;
+
+        switch (type) {
+          case 'S':
+            result = new LZSSCompressor(options).compress(data);
+            break;
+          case 'W':
+            options.codeStart = 0x7f;
+            options.codeMax = 0x7ff;
+            result = new LZW(options).compress(data);
+            break;
+          case 'U':
+            result = new LZW(options).compress(toUTF8(data));
+            break;
+        }
+
+        if (result === false && capped) {
+          return null;
+        }
+      }
+
+      if (result === false) {
+        if (limited) {
+          return null;
+        }
+        type = 'N';
+        result = data;
+      }
+
+      // Higher levels try LZSS with the larger window too.
+      // The alphabet compares it after the encoding below.
+      if (this._level > DEFAULT_LEVEL && type !== 'S' && this._alphabet === null) {
+        options.maxBytes = (type === 'N' ? dataBytes : byteLength(result)) - 1;
+        if (limited && !huffmanable) {
+          options.maxBytes = Math.min(options.maxBytes, maxBytes);
+        }
+        lzss = new LZSSCompressor(options).compress(data);
+        if (lzss !== false) {
+          type = 'S';
+          result = lzss;
+        }
+      }
+
+      // Huffman coding of the LZSS tokens is smaller unless the code lengths
+      // in the payload are large for the data.
+      // It is shorter in the bytes too if it is shorter in the characters.
+      if (type === 'S' && huffmanable) {
+        huffman = new Huffman().compress(result);
+        if (huffman.length < result.length) {
+          type = 'H';
+          result = huffman;
+        }
+      }
+
+      result = this._encode(type, data, result);
+
+      // LZW codes are wrapped in base64 for the alphabet, so LZSS may be smaller.
+      // The encoded LZSS is not smaller than its tokens.
+      if (this._alphabet !== null && type !== 'S') {
+        options.maxBytes = limited ? maxBytes : dataBytes;
+        lzss = new LZSSCompressor(options).compress(data);
+        if (lzss !== false) {
+          lzss = this._encode('S', data, lzss);
+          if (byteLength(lzss) < byteLength(result)) {
+            type = 'S';
+            result = lzss;
+          }
+        }
+      }
+      return { type: type, output: result };
+    },
+    // Tries all methods and keeps the smallest result.
+    // Returns null if maxBytes is given and all results exceed it.
+    _compressBest: function(data, dataBytes, maxBytes) {
+      var types = this._getTypes(data, dataBytes);
+      var best = null;
+      var compressed, i;
+
+      for (i = 0; i < types.length; i++) {
+        compressed = this._compressBy(types.charAt(i), data, dataBytes, maxBytes);
+        if (compressed === null) {
+          continue;
+        }
+        compressed.bytes = byteLength(compressed.output);
+        if (best === null || compressed.bytes < best.bytes) {
+          best = compressed;
+          // The output is larger than the payload,
+          // so the payload of the best size cannot be smaller.
+          if (!(maxBytes < best.bytes - 1)) {
+            maxBytes = best.bytes - 1;
+          }
+        }
+      }
+      return best && { type: best.type, output: best.output };
+    },
+    // Returns the types that can compress the data.
+    _getTypes: function(data, dataBytes) {
+      if (this._dictionary != null) {
+        return 'SHN';
+      }
+      return dataBytes === data.length ? 'SHMWUN' : 'SHMUN';
+    },
+    // Compresses the data by the method even if it does not get smaller.
+    // Returns null if maxBytes is given and the result exceeds it.
+    _compressBy: function(type, data, dataBytes, maxBytes) {
+      var options = {
+        maxBytes: maxBytes,
+        level: this._level,
+        dictionary: this._dictionary,
+        longMatch: this._header
+      };
+      var result;
+
+      switch (type) {
+        case 'S':
+          result = new LZSSCompressor(options).compress(data);
+          break;
+        case 'H':
+          options.maxBytes = void 0;
+          result = new Huffman().compress(new LZSSCompressor(options).compress(data));
+          if (result.length > maxBytes) {
+            result = false;
+          }
+          break;
+        case 'W':
+          if (dataBytes === data.length) {
+            options.codeStart = 0x7f;
+            options.codeMax = 0x7ff;
+            result = new LZW(options).compress(data);
+            break;
+          }
+          // LZW of the non-ASCII string uses the UTF-8 bytes.
+          type = 'U';
+          // falls through
+        case 'U':
+          result = new LZW(options).compress(toUTF8(data));
+          break;
+        case 'M':
+          // Stops at the data size to fall back to the raw data if the model does not help.
+          options.maxBytes = maxBytes < dataBytes ? maxBytes : dataBytes - 1;
+          result = new PPM(options).compress(toUTF8(data));
+          if (result === false && !(dataBytes > maxBytes)) {
+            type = 'N';
+            result = data;
+          }
+          break;
+        default:
+          result = dataBytes > maxBytes ? false : data;
+          break;
+      }
+
+      if (result === false) {
+        return null;
+      }
+      return { type: type, output: this._encode(type, data, result) };
+    },
+    // Estimates the output bytes by compressing the samples of the data.
+    // The samples of the double size show how much the ratio gets better
+    // in the larger data (e.g. by the LZW dictionary and the larger window),
+    // and the ratio of the whole data is assumed to be between
+    // the ratio of the larger samples and the extrapolated ratio.
+    estimate: function(data) {
+      var self = this;
+      // The samples are of the same size for every level to keep the estimate fast.
+      // They miss the far matches of the larger windows, so the estimate tends to be larger.
+      var size = ESTIMATE_SAMPLE_SIZE;
+      var count = ESTIMATE_SAMPLES;
+      var dataBytes, small, large, spread, min, max, bytes, error;
+
+      data = data == null ? '' : '' + data;
+      dataBytes = byteLength(data);
+
+      if (data.length <= size * count * 2) {
+        bytes = this.compressWithInfo(data).outputBytes;
+        error = 0;
+      } else {
+        small = this._sampleRatios(data, size, count);
+        large = this._sampleRatios(data, size * 2, count / 2);
+
+        // Each doubling of the size multiplies the ratio.
+        max = large.ratio;
+        min = max * Math.pow(Math.min(large.ratio / small.ratio, 1),
+          Math.log(data.length / (size * 2)) / Math.LN2);
+        spread = Math.max(small.spread, large.spread, ESTIMATE_MARGIN);
+
+        bytes = Math.ceil((max + min) / 2 * dataBytes);
+        error = Math.ceil(((max - min) / 2 + spread) * dataBytes);
+      }
+
+      return {
+        bytes: bytes,
+        error: error,
+        inputBytes: dataBytes,
+        // Compresses the data only if the estimate does not clearly fit.
+        // The estimate is not trusted for false because the samples tend to
+        // over-estimate, but the compression stops as soon as the output exceeds the limit.
+        fitsIn: function(limitBytes) {
+          if (bytes + error <= limitBytes) {
+            return true;
+          }
+          // The small data has been compressed already.
+          if (error === 0) {
+            return false;
+          }
+          return self._fitsIn(data, dataBytes, limitBytes);
+        }
+      };
+    },
+    // Returns the ratio of the output bytes to the input bytes of the samples
+    // and the maximum difference from it.
+    _sampleRatios: function(data, size, count) {
+      var step = (data.length - size) / (count - 1);
+      var ratios = [];
+      var inputBytes = 0;
+      var outputBytes = 0;
+      var spread = 0;
+      var offset, sample, ratio, i;
+
+      for (i = 0; i < count; i++) {
+        offset = Math.floor(step * i);
+        sample = this.compressWithInfo(data.substring(offset, offset + size));
+        ratios[i] = sample.outputBytes / sample.inputBytes;
+        inputBytes += sample.inputBytes;
+        outputBytes += sample.outputBytes;
+      }
+
+      ratio = outputBytes / inputBytes;
+      for (i = 0; i < count; i++) {
+        spread = Math.max(spread, Math.abs(ratios[i] - ratio));
+      }
+      return { ratio: ratio, spread: spread };
+    },
+    // Compresses the data until the output exceeds the limit.
+    _fitsIn: function(data, dataBytes, limitBytes) {
+      // The payload is not larger than the output without the type or the header.
+      var maxBytes = limitBytes - (this._header ? byteLength(this._createHeader('N', data)) : 1);
+      var compressed;
+
+      switch (this._method) {
+        case 'auto':
+          compressed = this._compressAuto(data, dataBytes, maxBytes);
+          break;
+        case 'best':
+          compressed = this._compressBest(data, dataBytes, maxBytes);
+          break;
+        default:
+          compressed = this._compressBy(METHODS[this._method], data, dataBytes, maxBytes);
+          break;
+      }
+      return compressed !== null && byteLength(compressed.output) <= limitBytes;
+    },
+    // Adds the type or the header, and encodes the result with the alphabet.
+    // Huffman and PPM are always written with the header,
+    // since their types alone cannot be told from the text that is not compressed.
+    _encode: function(type, data, result) {
+      if (this._header || type === 'H' || type === 'M') {
+        result = this._createHeader(type, data) + result;
+      } else {
+        result = type + result;
+      }
+
+      if (this._alphabet !== null) {
+        result = encodeAlphabet(result, this._alphabet);
+      }
+      return result;
+    },
+    _createHeader: function(method, data) {
+      return createHeader(method, data, {
+        checksum: this._checksum,
+        dictionary: this._dictionary,
+        level: this._level
+      });
+    },
+    compressBytes: function(data) {
+      if (data == null || data.length === 0) {
+        return createBuffer(8, 0);
+      }
+
+      // Binary string [U+0000 - U+00FF]
+      data = bufferToString_fast(data);
+
+      var result = '';
+      var len = data.length;
+      var options = {
+        maxBytes: len,
+        level: this._level,
+        dictionary: this._dictionary,
+        longMatch: this._header
+      };
+      var type;
+
+      if (this._dictionary != null) {
+        type = 'S';
+        result = new LZSSCompressor(options).compress(data);
+      } else if (byteLength(data) === len) {
+        // Ascii bytes [0x00 - 0x7F]
+        type = 'W';
+        options.codeStart = 0x7f;
+        options.codeMax = 0x7ff;
+        result = new LZW(options).compress(data);
+        if (result === false) {
+          type = 'S';
+          result = new LZSSCompressor(options).compress(data);
+        }
+      } else {
+        // Binary bytes
+        type = 'U';
+        result = new LZW(options).compress(data);
+        if (result === false) {
+          type = 'S';
+          result = new LZSSCompressor(options).compress(data);
+        }
+      }
+
+      if (result !== false) {
+        // Compressed data is stored as UTF-8 like compressToBase64.
+        result = toUTF8((this._header ? this._createHeader(type, data) : type) + result);
+        if (result.length <= len) {
+          return stringToBuffer(result, 8);
+        }
+      }
+
+      // Raw bytes are stored as is.
+      return stringToBuffer((this._header ? this._createHeader('N', data) : 'N') + data, 8);
+    },
+    decompressBytes: function(data) {
+      if (data == null || data.length === 0) {
+        return createBuffer(8, 0);
+      }
+
+      var bytes = data;
+      this._setMaxLength(data.length);
+      data = this._decompressBinary(bufferToString_fast(data));
+      return data === null ? bytes : stringToBuffer(data, 8);
+    },
+    // Maximum length of the output by maxOutputLength and maxRatio
+    _setMaxLength: function(inputLength) {
+      var maxLength = Infinity;
+
+      if (this._maxLength !== null) {
+        return;
+      }
+
+      if (this._maxOutputLength != null) {
+        maxLength = this._maxOutputLength;
+      }
+      if (this._maxRatio != null) {
+        maxLength = Math.min(maxLength, Math.floor(inputLength * this._maxRatio));
+      }
+      this._maxLength = maxLength;
+    },
+    // Decompresses the binary string, or returns null if not compressed.
+    _decompressBinary: function(data) {
+      var header, result;
+
+      switch (data.charAt(0)) {
+        case 'S': return this._decompressByS(toUTF16(data.substring(1), this._strict));
+        case 'W': return this._decompressByW(toUTF16(data.substring(1), this._strict));
+        case 'U': return this._decompressByLZW(toUTF16(data.substring(1), this._strict), this._maxLength);
+        case 'N': return this._decompressByN(data.substring(1));
+      }
+
+      if (data.indexOf(HEADER_MAGIC) !== 0) {
+        if (this._strict) {
+          throw new LZJSError('Unknown type: ' + data.charAt(0), 'E_BAD_TYPE', this._base);
+        }
+        return null;
+      }
+
+      header = this._parseHeader(data);
+      // Huffman and PPM are only for strings.
+      if (!/^[SWUN]$/.test(header.method)) {
+        throw new LZJSError('Unknown method: ' + header.method, 'E_BAD_TYPE', HEADER_MAGIC.length + 1);
+      }
+      this._base = header.size - 1;
+      result = this._decompressBinary(header.method + data.substring(header.size));
+      verifyHeader(header, result.length,
+        header.checksum !== null ? adler32(result) : null, data.length);
+      return result;
+    },
+    decompress: function(data) {
+      if (data == null || data.length === 0) {
+        return '';
+      }
+
+      data = '' + data;
+      this._setMaxLength(data.length);
+      var type = data.charAt(0);
+
+      if (data.indexOf(HEADER_MAGIC) === 0) {
+        return this._decompressByHeader(data);
+      }
+      if (readAlphabetType(data) !== null) {
+        return this._decompressByAlphabet(data);
+      }
+      // Without the magic, only the types of lzjs 1.x are compressed.
+      if (/^[SWUN]$/.test(type)) {
+        return this._decompressByType(type, data.substring(1));
+      }
+      if (this._strict) {
+        throw new LZJSError('Unknown type: ' + type, 'E_BAD_TYPE', this._base);
+      }
+      return data;
+    },
+    _decompressByType: function(type, data) {
+      switch (type) {
+        case 'S': return this._decompressByS(data);
+        case 'H': return this._decompressByH(data);
+        case 'W': return this._decompressByW(data);
+        case 'U': return this._decompressByU(data);
+        case 'M': return this._decompressByM(data);
+        case 'N': return this._decompressByN(data);
+      }
+    },
+    _decompressByS: function(data) {
+      return new LZSSDecompressor({
+        dictionary: this._dictionary,
+        strict: this._strict,
+        offset: this._base + 1,
+        maxLength: this._maxLength
+      }).decompress(data);
+    },
+    _decompressByW: function(data) {
+      var options = {
+        codeStart: 0x7f,
+        codeMax: 0x7ff,
+        strict: this._strict,
+        offset: this._base + 1,
+        maxLength: this._maxLength
+      };
+      return new LZW(options).decompress(data);
+    },
+    _decompressByU: function(data) {
+      // UTF-8 bytes are up to 3 times the length of UTF-16.
+      data = toUTF16(this._decompressByLZW(data, this._maxLength * 3), this._strict);
+      if (data.length > this._maxLength) {
+        throw createLimitError(this._base);
+      }
+      return data;
+    },
+    _decompressByLZW: function(data, maxLength) {
+      var options = {
+        strict: this._strict,
+        offset: this._base + 1,
+        maxLength: maxLength
+      };
+      return new LZW(options).decompress(data);
+    },
+    _decompressByH: function(data) {
+      var huffman = new Huffman({
+        strict: this._strict,
+        offset: this._base + 1
+      });
+      var tokens;
+
+      huffman._startDecompress();
+      tokens = huffman._writeDecompress(data);
+      huffman._endDecompress(this._verify);
+      return this._decompressByS(tokens);
+    },
+    _decompressByM: function(data) {
+      // UTF-8 bytes are up to 3 times the length of UTF-16.
+      var ppm = new PPM({
+        strict: this._strict,
+        offset: this._base + 1,
+        maxLength: this._maxLength * 3
+      });
+      var bytes;
+
+      ppm._startDecompress();
+      bytes = ppm._writeDecompress(data);
+      bytes += ppm._endDecompress(this._verify);
+
+      data = toUTF16(bytes, this._strict);
+      if (data.length > this._maxLength) {
+        throw createLimitError(this._base);
+      }
+      return data;
+    },
+    // The data of the other types is wrapped in base64 for the alphabet.
+    _decompressByB: function(data) {
+      this._base = 0;
+      return this.decompress(toUTF16(base64decode(data), this._strict));
+    },
+    // Decompresses the data that follows the alphabet magic.
+    _decompressByAlphabet: function(data) {
+      var type = readAlphabetType(data);
+
+      data = data.substring(ALPHABET_MAGIC.length + 1);
+      if (type === 'B') {
+        return this._decompressByB(data);
+      }
+      this._base = ALPHABET_MAGIC.length;
+      return this._decompressByS(decodeAlphabet(data, type));
+    },
+    _decompressByN: function(data) {
+      if (data.length > this._maxLength) {
+        throw createLimitError(this._base + 1 + this._maxLength);
+      }
+      return data;
+    },
+    // Decompresses the data that follows the header,
+    // and verifies the original length and the checksum.
+    _decompressByHeader: function(data) {
+      var header = this._parseHeader(data);
+      var size = data.length;
+
+      this._base = header.size - 1;
+      this._verify = true;
+      data = this._decompressByType(header.method, data.substring(header.size));
+      verifyHeader(header, data.length,
+        header.checksum !== null ? adler32(data) : null, size);
+      return data;
+    },
+    // Returns the method and the lengths of the compressed data without decompressing it.
+    inspect: function(data) {
+      var info = {
+        method: 'none',
+        compressedLength: 0,
+        decodedLength: 0,
+        alphabet: null,
+        header: null
+      };
+
+      if (data == null || data.length === 0) {
+        return info;
+      }
+
+      data = '' + data;
+      info.compressedLength = data.length;
+      return this._inspect(data, info);
+    },
+    _inspect: function(data, info) {
+      var type = data.charAt(0);
+      var alphabet = readAlphabetType(data);
+      var header = null;
+      var stats, key;
+
+      switch (alphabet) {
+        case 'P':
+        case 'J':
+        case 'X':
+          info.alphabet = ALPHABET_NAMES[alphabet];
+          data = 'S' + decodeAlphabet(data.substring(ALPHABET_MAGIC.length + 1), alphabet);
+          type = 'S';
+          break;
+        case 'B':
+          info.alphabet = 'base64';
+          return this._inspect(toUTF16(base64decode(data.substring(ALPHABET_MAGIC.length + 1))), info);
+        default:
+          if (data.indexOf(HEADER_MAGIC) === 0) {
+            header = parseHeader(data);
+            if (header === null) {
+              throw new LZJSError('Invalid header', 'E_TRUNCATED', data.length);
+            }
+            info.header = {
+              version: header.version,
+              length: header.length,
+              checksum: header.checksum,
+              dictionary: (header.flags & HEADER_DICTIONARY) !== 0,
+              level: (header.flags >> HEADER_LEVEL_SHIFT) & HEADER_LEVEL_MASK || null
+            };
+            type = header.method;
+            data = type + data.substring(header.size);
+          } else if (!/^[SWUN]$/.test(type)) {
+            // Without the magic, only the types of lzjs 1.x are compressed.
+            type = '';
+          }
+          break;
+      }
+
+      switch (type) {
+        case 'S':
+          stats = new LZSSDecompressor().inspect(data.substring(1));
+          break;
+        case 'H':
+          stats = new LZSSDecompressor().inspect(new Huffman().decompress(data.substring(1)));
+          break;
+        case 'W':
+          stats = new LZW({ codeStart: 0x7f, codeMax: 0x7ff }).inspect(data.substring(1));
+          break;
+        case 'U':
+          // The length of UTF-16 is unknown without decoding the UTF-8 bytes.
+          stats = new LZW().inspect(data.substring(1));
+          stats.decodedBytes = stats.decodedLength;
+          stats.decodedLength = header !== null ? header.length : null;
+          break;
+        case 'M':
+          // Each byte depends on the model, so only the header has the length.
+          stats = {
+            decodedLength: header !== null ? header.length : null,
+            decodedBytes: null,
+            order: PPM_ORDER
+          };
+          break;
+        case 'N':
+          stats = { decodedLength: data.length - 1 };
+          break;
+        default:
+          // Not compressed
+          info.method = null;
+          stats = { decodedLength: data.length };
+          break;
+      }
+
+      if (hasOwnProperty.call(METHOD_NAMES, type)) {
+        info.method = METHOD_NAMES[type];
+      }
+      for (key in stats) {
+        if (hasOwnProperty.call(stats, key)) {
+          info[key] = stats[key];
+        }
+      }
+      return info;
+    },
+    _parseHeader: function(data) {
+      var header = parseHeader(data);
+
+      if (header === null) {
+        throw new LZJSError('Invalid header', 'E_TRUNCATED', data.length);
+      }
+      if ((header.flags & HEADER_DICTIONARY) && this._dictionary == null) {
+        throw new LZJSError('Dictionary is required', 'E_DICTIONARY', header.size);
+      }
+      if (header.length > this._maxLength) {
+        throw createLimitError(header.size);
+      }
+      return header;
+    }
+  };
+
+
+  // LZJS Stream Compression
+  // Always compresses by LZSS because the whole data is unknown.
+  function LZJSStreamCompressor(options) {
+    this._init(options);
+  }
+
+  LZJSStreamCompressor.prototype = {
+    _init: function(options) {
+      var self = this;
+      options = options || {};
+
+      this._output = '';
+      this._started = false;
+      this._compressor = new LZSSCompressor({
+        level: options.level,
+        dictionary: options.dictionary,
+        longMatch: options.longMatch,
+        onData: function(data) {
+          self._output += data;
+        }
+      });
+    },
+    _flush: function() {
+      var output = this._output;
+      this._output = '';
+      return output;
+    },
+    push: function(data) {
+      if (data == null || data.length === 0) {
+        return '';
+      }
+
+      if (!this._started) {
+        this._started = true;
+        this._output = 'S';
+        this._compressor._start();
+      }
+
+      this._compressor._write('' + data, false);
+      return this._flush();
+    },
+    end: function() {
+      if (!this._started) {
+        return '';
+      }
+
+      this._compressor._write('', true);
+      this._compressor._onEnd();
+      return this._flush();
+    }
+  };
+
+
+  // LZJS Stream Decompression
+  // Decompresses the data that is pushed in arbitrary fragments.
+  function LZJSStreamDecompressor(options) {
+    this._init(options);
+  }
+
+  LZJSStreamDecompressor.prototype = {
+    _init: function(options) {
+      var self = this;
+      options = options || {};
+
+      this._type = null;
+      this._dictionary = options.dictionary;
+      this._strict = options.strict;
+      this._received = 0;
+      this._header = '';
+      this._check = null;
+      // Offset of the type in the compressed data
+      this._base = 0;
+      this._length = 0;
+      this._adler = null;
+      this._bytes = '';
+      this._base64 = '';
+      this._output = '';
+      this._decompressor = null;
+      this._huffman = null;
+      this._onData = function(data) {
+        self._output += data;
+      };
+    },
+    _start: function(type) {
+      // Offset of the data that follows the type
+      var offset = this._base + 1;
+
+      switch (type) {
+        case 'S':
+          this._decompressor = new LZSSDecompressor({
+            dictionary: this._dictionary,
+            strict: this._strict,
+            offset: offset,
+            onData: this._onData
+          });
+          this._decompressor._start();
+          break;
+        case 'P':
+        case 'J':
+        case 'X':
+          this._start('S');
+          break;
+        case 'H':
+          this._start('S');
+          this._huffman = new Huffman({
+            strict: this._strict,
+            offset: offset
+          });
+          this._huffman._startDecompress();
+          break;
+        case 'B':
+          // The data in base64 is decompressed by the nested decompressor.
+          this._decompressor = new LZJSStreamDecompressor({
+            dictionary: this._dictionary,
+            strict: this._strict
+          });
+          break;
+        case 'W':
+          this._decompressor = new LZW({
+            codeStart: 0x7f,
+            codeMax: 0x7ff,
+            strict: this._strict,
+            offset: offset
+          });
+          this._decompressor._startDecompress();
+          break;
+        case 'U':
+          this._decompressor = new LZW({
+            strict: this._strict,
+            offset: offset
+          });
+          this._decompressor._startDecompress();
+          break;
+        case 'M':
+          this._decompressor = new PPM({
+            strict: this._strict,
+            offset: offset
+          });
+          this._decompressor._startDecompress();
+          break;
+        case 'N':
+          break;
+        default:
+          if (this._strict) {
+            throw new LZJSError('Unknown type: ' + type, 'E_BAD_TYPE', offset - 1);
+          }
+          break;
+      }
+    },
+    // Returns the output without splitting a surrogate pair.
+    _flush: function(ended) {
+      var output = this._output;
+      var c = output.charCodeAt(output.length - 1);
+
+      if (!ended && c >= 0xd800 && c <= 0xdbff) {
+        this._output = output.slice(-1);
+        return output.slice(0, -1);
+      }
+
+      this._output = '';
+      return output;
+    },
+    // Reads the header or the alphabet magic if the data starts with it.
+    // Returns the rest of the data, or null if the header is incomplete.
+    _readHeader: function(data) {
+      var header;
+
+      data = this._header + data;
+      this._header = '';
+
+      if (ALPHABET_MAGIC.indexOf(data) === 0) {
+        this._header = data;
+        return null;
+      }
+      if (readAlphabetType(data) !== null) {
+        this._base = ALPHABET_MAGIC.length;
+        return data.substring(this._base);
+      }
+      if (!isHeader(data)) {
+        return data;
+      }
+
+      header = parseHeader(data);
+      if (header === null) {
+        this._header = data;
+        return null;
+      }
+      if ((header.flags & HEADER_DICTIONARY) && this._dictionary == null) {
+        throw new LZJSError('Dictionary is required', 'E_DICTIONARY', header.size);
+      }
+
+      this._check = header;
+      this._base = header.size - 1;
+      return header.method + data.substring(header.size);
+    },
+    // Verifies the output if the data has the header.
+    _verify: function(output, ended) {
+      var header = this._check;
+
+      if (header !== null) {
+        this._length += output.length;
+        if (header.checksum !== null) {
+          this._adler = adler32(output, this._adler);
+        }
+        if (ended) {
+          verifyHeader(header, this._length,
+            this._adler === null ? 1 : this._adler, this._received);
+        }
+      }
+      return output;
+    },
+    // Starts the decompressor by the type. Returns the data that follows the type.
+    _readType: function(data) {
+      this._type = data.charAt(0);
+      // Without the magic, only the types of lzjs 1.x are compressed.
+      if (this._base === 0 && !/^[SWUN]$/.test(this._type)) {
+        if (this._strict) {
+          throw new LZJSError('Unknown type: ' + this._type, 'E_BAD_TYPE', 0);
+        }
+        // Not compressed
+        this._type = '';
+      }
+      this._start(this._type);
+
+      if (this._decompressor !== null || this._type === 'N') {
+        data = data.substring(1);
+      }
+      return data;
+    },
+    // Decodes UTF-8 bytes without splitting a multibyte sequence.
+    _decodeBytes: function(bytes, ended) {
+      var len;
+
+      bytes = this._bytes + bytes;
+      len = ended ? bytes.length : utf8CompleteLength(bytes);
+
+      this._bytes = bytes.substring(len);
+      return toUTF16(bytes.substring(0, len), this._strict);
+    },
+    // Decodes base64 by 4 characters and pushes it to the nested decompressor.
+    _writeBase64: function(data, ended) {
+      var len;
+
+      data = this._base64 + data.replace(/[^A-Za-z0-9+\/=]+/g, '');
+      len = ended ? data.length : data.length - data.length % 4;
+
+      this._base64 = data.substring(len);
+      data = this._decodeBytes(base64decode(data.substring(0, len)), ended);
+      this._output += this._decompressor.push(data);
+      if (ended) {
+        this._output += this._decompressor.end();
+      }
+    },
+    /**
+     * Push a fragment of the compressed data.
+     *
+     * @param {string} data A fragment of the compressed data
+     * @return {string} Decompressed data that is available
+     */
+    push: function(data) {
+      if (data == null || data.length === 0) {
+        return '';
+      }
+
+      data = '' + data;
+      this._received += data.length;
+      if (this._type === null && this._check === null) {
+        data = this._readHeader(data);
+        if (data === null || data.length === 0) {
+          return '';
+        }
+      }
+
+      if (this._type === null) {
+        data = this._readType(data);
+      }
+
+      switch (this._type) {
+        case 'S':
+          this._decompressor._write(data, false);
+          break;
+        case 'P':
+        case 'J':
+        case 'X':
+          this._decompressor._write(decodeAlphabet(data, this._type), false);
+          break;
+        case 'H':
+          this._decompressor._write(this._huffman._writeDecompress(data), false);
+          break;
+        case 'B':
+          this._writeBase64(data, false);
+          break;
+        case 'W':
+          this._output += this._decompressor._writeDecompress(data);
+          break;
+        case 'U':
+        case 'M':
+          this._output += this._decodeBytes(this._decompressor._writeDecompress(data), false);
+          break;
+        default:
+          this._output += data;
+          break;
+      }
+
+      return this._verify(this._flush(false), false);
+    },
+    /**
+     * Finish the decompression.
+     *
+     * @return {string} Rest of the decompressed data
+     */
+    end: function() {
+      if (this._header.length > 0) {
+        // The text can end with the start of the alphabet magic.
+        if (ALPHABET_MAGIC.indexOf(this._header) !== 0) {
+          throw new LZJSError('Invalid header', 'E_TRUNCATED', this._received);
+        }
+        this._output += this._readType(this._header);
+        this._header = '';
+      }
+
+      switch (this._type) {
+        case 'H':
+          this._huffman._endDecompress(this._check !== null);
+          this._huffman = null;
+          // falls through
+        case 'S':
+        case 'P':
+        case 'J':
+        case 'X':
+          this._decompressor._write('', true);
+          this._decompressor._end();
+          break;
+        case 'B':
+          this._writeBase64('', true);
+          break;
+        case 'U':
+          this._output += this._decodeBytes('', true);
+          break;
+        case 'M':
+          this._output += this._decodeBytes(
+            this._decompressor._endDecompress(this._check !== null), true);
+          break;
+      }
+
+      this._decompressor = null;
+      return this._verify(this._flush(true), true);
+    }
+  };
+
+
+  // Create Node.js stream.Transform for the stream compressor/decompressor
+  function createNodeStream(coder) {
+    if (typeof require !== 'function') {
+      throw new Error('Node.js stream is not supported.');
+    }
+
+    var Transform = require('stream').Transform;
+    var StringDecoder = require('string_decoder').StringDecoder;
+    var decoder = new StringDecoder('utf8');
+    var stream = new Transform();
+
+    stream._transform = function(chunk, encoding, callback) {
+      var output;
+      try {
+        output = coder.push(decoder.write(chunk));
+      } catch (e) {
+        return callback(e);
+      }
+
+      if (output.length > 0) {
+        this.push(output, 'utf8');
+      }
+      callback();
+    };
+
+    stream._flush = function(callback) {
+      var output;
+      try {
+        output = coder.push(decoder.end()) + coder.end();
+      } catch (e) {
+        return callback(e);
+      }
+
+      if (output.length > 0) {
+        this.push(output, 'utf8');
+      }
+      callback();
+    };
+
+    return stream;
+  }
+
+
+  // Create WHATWG TransformStream for the stream compressor/decompressor
+  function createWebStream(coder) {
+    var Stream = getTransformStream();
+    // Binary data that is not UTF-8 is rejected instead of being replaced by U+FFFD.
+    var decoder = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true });
+    var encoder = new TextEncoder();
+    var received = 0;
+
+    function decode(chunk) {
+      var data;
+      try {
+        data = chunk === void 0 ? decoder.decode() : decoder.decode(chunk, { stream: true });
+      } catch (e) {
+        throw new LZJSError('Invalid UTF-8', 'E_BAD_UTF8', received);
+      }
+      if (chunk !== void 0) {
+        received += chunk.byteLength;
+      }
+      return data;
+    }
+
+    return new Stream({
+      transform: function(chunk, controller) {
+        var data;
+        if (typeof chunk === 'string') {
+          data = chunk;
+        } else {
+          data = decode(chunk);
+        }
+
+        var output = coder.push(data);
+        if (output.length > 0) {
+          controller.enqueue(encoder.encode(output));
+        }
+      },
+      flush: function(controller) {
+        var output = coder.push(decode()) + coder.end();
+        if (output.length > 0) {
+          controller.enqueue(encoder.encode(output));
+        }
+      }
+    });
+  }
+
+
+  function getTransformStream() {
+    if (typeof TransformStream !== 'undefined') {
+      return TransformStream;
+    }
+
+    // Node.js built-in stream/web
+    if (typeof require === 'function') {
+      try {
+        return require('stream/web').TransformStream;
+      } catch (e) {}
+    }
+
+    throw new Error('TransformStream is not supported.');
+  }
+
+
+  // WHATWG compatible CompressionStream
+  function CompressionStream(options) {
+    var stream = createWebStream(new LZJSStreamCompressor(options));
+    this.readable = stream.readable;
+    this.writable = stream.writable;
+  }
+
+
+  // WHATWG compatible DecompressionStream
+  function DecompressionStream(options) {
+    var stream = createWebStream(new LZJSStreamDecompressor(options));
+    this.readable = stream.readable;
+    this.writable = stream.writable;
+  }
+
+
+  // Pushes the data to the stream compressor/decompressor chunk by chunk
+  // and yields to the event loop between chunks.
+  function processAsync(coder, data, options) {
+    options = options || {};
+
+    var onProgress = options.onProgress;
+    var signal = options.signal;
+
+    return new Promise(function(resolve, reject) {
+      var output = '';
+      var offset = 0;
+      var len = data.length;
+
+      function next() {
+        if (signal && signal.aborted) {
+          reject(createAbortError(signal));
+          return;
+        }
+
+        try {
+          if (offset < len) {
+            output += coder.push(data.substring(offset, offset + ASYNC_CHUNK_SIZE));
+            offset = Math.min(offset + ASYNC_CHUNK_SIZE, len);
+            if (onProgress) {
+              onProgress(offset, len);
+            }
+            defer(next);
+          } else {
+            resolve(output + coder.end());
+          }
+        } catch (e) {
+          reject(e);
+        }
+      }
+
+      defer(next);
+    });
+  }
+
+
+  function defer(callback) {
+    if (typeof setImmediate === 'function') {
+      setImmediate(callback);
+    } else {
+      setTimeout(callback, 0);
+    }
+  }
+
+
+  function createAbortError(signal) {
+    if (signal.reason !== void 0) {
+      return signal.reason;
+    }
+
+    var error = new Error('The operation was aborted.');
+    error.name = 'AbortError';
+    return error;
+  }
+
+
+  // Create Sliding window
+  function createWindow() {
+    var alpha = 'abcdefghijklmnopqrstuvwxyz';
+    var win = '';
+    var len = alpha.length;
+    var i, j, c, c2;
+
+    for (i = 0; i < len; i++) {
+      c = alpha.charAt(i);
+      for (j = len - 1; j > 15 && win.length < WINDOW_MAX; j--) {
+        c2 = alpha.charAt(j);
+        win += ' ' + c + ' ' + c2;
+      }
+    }
+
+    while (win.length < WINDOW_MAX) {
+      win = ' ' + win;
+    }
+    win = win.slice(0, WINDOW_MAX);
+
+    return win;
+  }
+  // Window that the data is compressed following
+  function getWindow(dictionary) {
+    if (dictionary == null) {
+      return createWindow();
+    }
+    return dictionary.slice(-WINDOW_LIMIT);
+  }
+
+  // Picks the segments that have the most frequent substrings in the samples.
+  // The substrings found in more samples are referenced more often,
+  // and the picked segments are placed nearer the end of the dictionary.
+  function trainDictionary(samples, options) {
+    options = options || {};
+
+    var size = Math.min(options.size || WINDOW_MAX, WINDOW_LIMIT);
+    var d = TRAIN_DMER_LENGTH;
+    var ids = {};
+    var freqs = [];
+    var seen = [];
+    var dmers = [];
+    var minFreq = samples.length > 1 ? 2 : 1;
+    var texts = [];
+    var dictionary = '';
+    var i, j, k, n, sample, dmer, id, score, best, bestSample, bestPos, start, end;
+
+    // Counts the number of samples that contain each substring.
+    for (i = 0; i < samples.length; i++) {
+      sample = texts[i] = '' + samples[i];
+      n = Math.max(sample.length - d + 1, 0);
+      dmers[i] = createBuffer(32, n);
+
+      for (j = 0; j < n; j++) {
+        dmer = sample.substr(j, d);
+        if (hasOwnProperty.call(ids, dmer)) {
+          id = ids[dmer];
+        } else {
+          id = ids[dmer] = freqs.length;
+          freqs[id] = 0;
+          seen[id] = -1;
+        }
+
+        if (seen[id] !== i) {
+          seen[id] = i;
+          freqs[id]++;
+        }
+        dmers[i][j] = id;
+      }
+    }
+
+    for (id = 0; id < freqs.length; id++) {
+      if (freqs[id] < minFreq) {
+        freqs[id] = 0;
+      }
+    }
+
+    while (dictionary.length < size) {
+      best = 0;
+      bestSample = bestPos = -1;
+      k = Math.min(TRAIN_SEGMENT_LENGTH, size - dictionary.length) - d + 1;
+      if (k < 1) {
+        break;
+      }
 
-        if (c <= codeMax) {
-          buffer = fromCharCode(c);
-        } else {
-          if (hasOwnProperty.call(dict, c)) {
-            buffer = dict[c];
-          } else {
-            buffer = prev + ch;
+      // Scores the segments of each sample by the sliding sum.
+      for (i = 0; i < samples.length; i++) {
+        n = dmers[i].length;
+        score = 0;
+        for (j = 0; j < n; j++) {
+          score += freqs[dmers[i][j]];
+          if (j >= k) {
+            score -= freqs[dmers[i][j - k]];
+          }
+          if (score > best) {
+            best = score;
+            bestSample = i;
+            bestPos = Math.max(j - k + 1, 0);
           }
         }
+      }
 
-        result += buffer;
+      if (best === 0) {
+        break;
+      }
 
-        ch = buffer.charAt(0);
-        dict[code++] = prev + ch;
-        prev = buffer;
+      // Trims the substrings that are never referenced.
+      start = bestPos;
+      end = Math.min(bestPos + k, dmers[bestSample].length) - 1;
+      while (freqs[dmers[bestSample][start]] === 0) {
+        start++;
+      }
+      while (freqs[dmers[bestSample][end]] === 0) {
+        end--;
       }
 
-      return result;
+      dictionary = texts[bestSample].substring(start, end + d) + dictionary;
+      for (j = start; j <= end; j++) {
+        freqs[dmers[bestSample][j]] = 0;
+      }
     }
-  };
+
+    return dictionary;
+  }
 
 
-  // LZJS Compression
-  function LZJS(options) {
-    this._init(options);
+
+  // [window, match length to stop searching] of the compression level
+  function getLevelParams(level) {
+    var params = LEVELS[level == null ? DEFAULT_LEVEL : level];
+    if (!params) {
+      throw new Error('Invalid compression level: ' + level);
+    }
+    return params;
   }
 
-  LZJS.prototype = {
-    _init: function(options) {
-      options = options || {};
+  // Returns the index of the literal that is written before the character.
+  function literalIndex(c) {
+    if (c < LATIN_BUFFER_MAX) {
+      return c < UNICODE_CHAR_MAX ? LATIN_INDEX :
+        ((c - c % UNICODE_CHAR_MAX) / UNICODE_CHAR_MAX) + LATIN_INDEX;
+    }
+    return c < UNICODE_BUFFER_MAX ? UNICODE_INDEX :
+      ((c - c % UNICODE_BUFFER_MAX) / UNICODE_BUFFER_MAX) + UNICODE_INDEX;
+  }
 
-      //TODO: Validate utf-8 encoding for command line.
-      this._encoding = options.encoding || 'utf-8';
-    },
-    compress: function(data) {
-      if (data == null || data.length === 0) {
-        return '';
-      }
+  // Returns the number of characters of the literal token.
+  function literalCost(c, lastIndex) {
+    var same = literalIndex(c) === lastIndex;
+    if (c < LATIN_BUFFER_MAX) {
+      return same ? 1 : 2;
+    }
+    return same ? 2 : 4;
+  }
 
-      data = '' + data;
+  // Returns the number of characters of the back-reference token.
+  function matchCost(index, length) {
+    if (index >= NEAR_DISTANCE_MAX) {
+      return 4;
+    }
+    return length === 2 ? 2 : 3;
+  }
 
-      var result = '';
-      var dataBytes = byteLength(data);
-      var asciiLimitBytes = dataBytes * 0.9 | 0;
-      var len = data.length;
-      var options = {
-        maxBytes: dataBytes
-      };
-      var type;
+  // Compares the costs per character of the current match and
+  // a literal followed by the match at the next position.
+  function isLazyMatchBetter(c, lastIndex, index, length, nextIndex, nextLength) {
+    var cost = matchCost(index, length);
+    var nextCost = literalCost(c, lastIndex) + matchCost(nextIndex, nextLength);
+    return nextCost * length < cost * (nextLength + 1);
+  }
 
-      if (dataBytes === len) {
-        // Ascii string [U+0000 - U+007F]
-        type = 'W';
-        options.codeStart = 0x7f;
-        options.codeMax = 0x7ff;
-        result = new LZW(options).compress(data);
-        if (result === false) {
-          type = 'S';
-          result = new LZSSCompressor(options).compress(data);
-          if (result === false) {
-            type = 'N';
-            result = data;
-          }
+  // Returns the Huffman code lengths of the frequencies.
+  // The frequencies are halved until the lengths are up to maxBits.
+  function createHuffmanLengths(freqs, maxBits) {
+    var lengths, nodes, node, a, b, i, max;
+
+    for (;;) {
+      lengths = [];
+      nodes = [];
+      for (i = 0; i < freqs.length; i++) {
+        lengths[i] = 0;
+        if (freqs[i] > 0) {
+          nodes[nodes.length] = { freq: freqs[i], symbols: [i] };
         }
-      } else if (dataBytes > len && asciiLimitBytes < len) {
-        // String that is included most of the ASCII.
-        type = 'U';
-        result = new LZW(options).compress(toUTF8(data));
-        if (result === false) {
-          type = 'S';
-          result = new LZSSCompressor(options).compress(data);
-          if (result === false) {
-            type = 'N';
-            result = data;
-          }
+      }
+
+      if (nodes.length === 1) {
+        lengths[nodes[0].symbols[0]] = 1;
+        return lengths;
+      }
+
+      while (nodes.length > 1) {
+        nodes.sort(function(x, y) {
+          return y.freq - x.freq;
+        });
+        a = nodes.pop();
+        b = nodes.pop();
+        node = { freq: a.freq + b.freq, symbols: a.symbols.concat(b.symbols) };
+        for (i = 0; i < node.symbols.length; i++) {
+          lengths[node.symbols[i]]++;
         }
-      } else {
-        // Unicode string
-        type = 'S';
-        result = new LZSSCompressor(options).compress(data);
-        if (result === false) {
-          type = 'U';
-          result = new LZW(options).compress(toUTF8(data));
-          if (result === false || byteLength(result) > dataBytes) {
-            type = 'N';
-            result = data;
-          }
+        nodes[nodes.length] = node;
+      }
+
+      max = 0;
+      for (i = 0; i < lengths.length; i++) {
+        max = Math.max(max, lengths[i]);
+      }
+      if (max <= maxBits) {
+        return lengths;
+      }
+
+      freqs = freqs.slice();
+      for (i = 0; i < freqs.length; i++) {
+        if (freqs[i] > 0) {
+          freqs[i] = (freqs[i] >> 1) + 1;
         }
       }
+    }
+  }
 
-      return type + result;
-    },
-    decompress: function(data) {
-      if (data == null || data.length === 0) {
-        return '';
+  // Returns the canonical Huffman codes of the lengths.
+  function createHuffmanCodes(lengths) {
+    var counts = [];
+    var next = [];
+    var codes = [];
+    var code = 0;
+    var i;
+
+    for (i = 0; i <= HUFFMAN_MAX_BITS; i++) {
+      counts[i] = 0;
+    }
+    for (i = 0; i < lengths.length; i++) {
+      counts[lengths[i]]++;
+    }
+    counts[0] = 0;
+
+    for (i = 1; i <= HUFFMAN_MAX_BITS; i++) {
+      code = (code + counts[i - 1]) << 1;
+      next[i] = code;
+    }
+    for (i = 0; i < lengths.length; i++) {
+      if (lengths[i] !== 0) {
+        codes[i] = next[lengths[i]]++;
       }
+    }
+    return codes;
+  }
 
-      data = '' + data;
-      var type = data.charAt(0);
+  // Deflate writes the Huffman codes from the least significant bit.
+  function reverseCodes(codes, lengths) {
+    var results = [];
+    var i, j, code, reversed;
+
+    for (i = 0; i < lengths.length; i++) {
+      code = codes[i];
+      reversed = 0;
+      for (j = 0; j < lengths[i]; j++) {
+        reversed = (reversed << 1) | (code & 1);
+        code >>= 1;
+      }
+      results[i] = reversed;
+    }
+    return results;
+  }
 
-      switch (type) {
-        case 'S': return this._decompressByS(data.substring(1));
-        case 'W': return this._decompressByW(data.substring(1));
-        case 'U': return this._decompressByU(data.substring(1));
-        case 'N': return this._decompressByN(data.substring(1));
-        default: return data;
+  // Code lengths of the fixed Huffman codes of Deflate
+  function createFixedLengths() {
+    var literals = [];
+    var distances = [];
+    var i;
+
+    for (i = 0; i < 288; i++) {
+      literals[i] = i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8;
+    }
+    for (i = 0; i < DEFLATE_DISTANCES; i++) {
+      distances[i] = 5;
+    }
+    return [literals, distances];
+  }
+
+  // Length codes (0 - 28) of the match lengths
+  var DEFLATE_LENGTH_CODES = (function() {
+    var codes = [];
+    for (var code = 0; code < DEFLATE_LENGTH_BASE.length; code++) {
+      for (var i = 0; i < 1 << DEFLATE_LENGTH_EXTRA[code]; i++) {
+        codes[DEFLATE_LENGTH_BASE[code] + i] = code;
       }
-    },
-    _decompressByS: function(data) {
-      return new LZSSDecompressor().decompress(data);
-    },
-    _decompressByW: function(data) {
-      var options = {
-        codeStart: 0x7f,
-        codeMax: 0x7ff
-      };
-      return new LZW(options).decompress(data);
-    },
-    _decompressByU: function(data) {
-      return toUTF16(new LZW().decompress(data));
-    },
-    _decompressByN: function(data) {
-      return data;
     }
-  };
+    return codes;
+  }());
 
+  // Distance codes of the distances - 1 up to 256 and (distances - 1) / 128 after them
+  var DEFLATE_DISTANCE_CODES = (function() {
+    var codes = [];
+    var code, i, d;
 
-  // Create Sliding window
-  function createWindow() {
-    var alpha = 'abcdefghijklmnopqrstuvwxyz';
-    var win = '';
-    var len = alpha.length;
-    var i, j, c, c2;
+    for (code = 0; code < DEFLATE_DISTANCES; code++) {
+      for (i = 0; i < 1 << DEFLATE_DISTANCE_EXTRA[code]; i++) {
+        d = DEFLATE_DISTANCE_BASE[code] - 1 + i;
+        codes[d < 256 ? d : 256 + (d >> 7)] = code;
+      }
+    }
+    return codes;
+  }());
 
-    for (i = 0; i < len; i++) {
-      c = alpha.charAt(i);
-      for (j = len - 1; j > 15 && win.length < WINDOW_MAX; j--) {
-        c2 = alpha.charAt(j);
-        win += ' ' + c + ' ' + c2;
+  function distanceCode(distance) {
+    var d = distance - 1;
+    return DEFLATE_DISTANCE_CODES[d < 256 ? d : 256 + (d >> 7)];
+  }
+
+  // Magic + version + method + flags + original length [+ checksum]
+  function createHeader(method, data, options) {
+    var flags = (options.level || 0) << HEADER_LEVEL_SHIFT;
+    var header;
+
+    if (options.checksum) {
+      flags |= HEADER_CHECKSUM;
+    }
+    if (options.dictionary != null && method === 'S') {
+      flags |= HEADER_DICTIONARY;
+    }
+
+    header = HEADER_MAGIC + encodeVLQ(FORMAT_VERSION) + method +
+      encodeVLQ(flags) + encodeVLQ(data.length);
+    if (options.checksum) {
+      header += encodeVLQ(adler32(data));
+    }
+    return header;
+  }
+
+  // Whether the data can be the start of the header
+  function isHeader(data) {
+    return data.indexOf(HEADER_MAGIC) === 0 || HEADER_MAGIC.indexOf(data) === 0;
+  }
+
+  // Parses the header. Returns null if the data is incomplete.
+  function parseHeader(data) {
+    var header = {
+      version: 0,
+      method: '',
+      flags: 0,
+      length: 0,
+      checksum: null,
+      size: 0
+    };
+    var values, offset;
+
+    if (data.indexOf(HEADER_MAGIC) !== 0) {
+      return null;
+    }
+
+    values = decodeVLQ(data, HEADER_MAGIC.length, 1);
+    if (values === null || values[1] >= data.length) {
+      return null;
+    }
+
+    header.version = values[0];
+    if (header.version !== FORMAT_VERSION) {
+      throw new LZJSError('Unsupported format version: ' + header.version,
+        'E_BAD_TYPE', HEADER_MAGIC.length);
+    }
+
+    header.method = data.charAt(values[1]);
+    if (!/^[SHWUMN]$/.test(header.method)) {
+      throw new LZJSError('Unknown method: ' + header.method, 'E_BAD_TYPE', values[1]);
+    }
+
+    values = decodeVLQ(data, values[1] + 1, 2);
+    if (values === null) {
+      return null;
+    }
+    header.flags = values[0];
+    header.length = values[1];
+    offset = values[2];
+
+    if (header.flags & HEADER_CHECKSUM) {
+      values = decodeVLQ(data, offset, 1);
+      if (values === null) {
+        return null;
       }
+      header.checksum = values[0];
+      offset = values[1];
     }
 
-    while (win.length < WINDOW_MAX) {
-      win = ' ' + win;
+    header.size = offset;
+    return header;
+  }
+
+  function createLimitError(offset) {
+    return new LZJSError('Output length exceeds the limit', 'E_OUTPUT_LIMIT', offset);
+  }
+
+  // Verifies the original length and the checksum of the decompressed data.
+  // The offset is the end of the compressed data.
+  function verifyHeader(header, length, checksum, offset) {
+    if (length !== header.length) {
+      throw new LZJSError('Length mismatch: expected ' + header.length + ' but got ' + length,
+        length < header.length ? 'E_TRUNCATED' : 'E_CHECKSUM', offset);
     }
-    win = win.slice(0, WINDOW_MAX);
+    if (header.checksum !== null && checksum !== header.checksum) {
+      throw new LZJSError('Checksum mismatch', 'E_CHECKSUM', offset);
+    }
+  }
 
-    return win;
+  // Number of characters in the LZSS token that starts with the table index
+  function tokenLength(c, out) {
+    if (c < DECODE_MAX) {
+      return out ? 2 : 1;
+    }
+    if (c < LATIN_DECODE_MAX) {
+      return 1;
+    }
+    if (c === CHAR_START) {
+      return 2;
+    }
+    if (c < COMPRESS_FIXED_START) {
+      return 3;
+    }
+    if (c < COMPRESS_INDEX) {
+      return 2;
+    }
+    if (c < COMPRESS_FAR_INDEX) {
+      return 4;
+    }
+    if (c === COMPRESS_PARAMS) {
+      return 3;
+    }
+    if (c === COMPRESS_DICTIONARY) {
+      return DICTIONARY_ID_LENGTH + 1;
+    }
+    if (c === COMPRESS_LONG) {
+      return 3;
+    }
+    return 1;
+  }
+
+
+  // Length of the UTF-8 bytes that does not end with an incomplete sequence
+  function utf8CompleteLength(data) {
+    var len = data.length;
+    var i, c, n;
+
+    for (i = len - 1; i >= 0 && i >= len - 4; i--) {
+      c = data.charCodeAt(i);
+      if ((c & 0xc0) !== 0x80) {
+        if (c >= 0xf0) {
+          n = 4;
+        } else if (c >= 0xe0) {
+          n = 3;
+        } else if (c >= 0xc0) {
+          n = 2;
+        } else {
+          n = 1;
+        }
+        return i + n > len ? i : len;
+      }
+    }
+
+    return len;
   }
 
 
@@ -855,9 +4582,9 @@
   }
 
 
-  function stringToBuffer(string) {
+  function stringToBuffer(string, bits) {
     var length = string.length;
-    var buffer = createBuffer(16, length);
+    var buffer = createBuffer(bits || 16, length);
     for (var i = 0; i < length; i++) {
       buffer[i] = string.charCodeAt(i);
     }
@@ -873,6 +4600,7 @@
     switch (bits) {
       case 8: return new Uint8Array(size);
       case 16: return new Uint16Array(size);
+      case 32: return new Int32Array(size);
     }
   }
 
@@ -918,8 +4646,8 @@
         results[results.length] = 0xe0 | ((c >> 12) & 0xf);
         results[results.length] = 0x80 | ((c >> 6) & 0x3f);
         results[results.length] = 0x80 | (c & 0x3f);
-      } else if (c < 0x200000) {
-        results[results.length] = 0xf0 | ((c >> 18) & 0xf);
+      } else {
+        results[results.length] = 0xf0 | ((c >> 18) & 0x7);
         results[results.length] = 0x80 | ((c >> 12) & 0x3f);
         results[results.length] = 0x80 | ((c >> 6) & 0x3f);
         results[results.length] = 0x80 | (c & 0x3f);
@@ -931,27 +4659,37 @@
 
 
   // UTF-8 to UTF-16
-  function toUTF16(data) {
+  // Lone surrogates are decoded from 3 bytes as toUTF8 encodes (WTF-8),
+  // so any string of UTF-16 round-trips.
+  // Throws on the invalid sequence if strict, otherwise it is decoded as U+FFFD.
+  function toUTF16(data, strict) {
     var results = [];
     var i = 0;
     var len = data.length;
     var n, c, c2, c3, c4, code;
 
     while (i < len) {
+      if (strict) {
+        validateUTF8(data, i);
+      }
+
       c = data.charCodeAt(i++);
-      n = c >> 4;
-      if (n >= 0 && n <= 7) {
+      n = utf8SequenceLength(c);
+      if (n === 0 || i + n - 1 > len) {
+        // Continuation byte without the leading byte, or the truncated sequence
+        code = 0xfffd;
+      } else if (n === 1) {
         code = c;
-      } else if (n === 12 || n === 13) {
+      } else if (n === 2) {
         c2 = data.charCodeAt(i++);
         code = ((c & 0x1f) << 6) | (c2 & 0x3f);
-      } else if (n === 14) {
+      } else if (n === 3) {
         c2 = data.charCodeAt(i++);
         c3 = data.charCodeAt(i++);
         code = ((c & 0x0f) << 12) |
                ((c2 & 0x3f) << 6) |
                 (c3 & 0x3f);
-      } else if (n === 15) {
+      } else {
         c2 = data.charCodeAt(i++);
         c3 = data.charCodeAt(i++);
         c4 = data.charCodeAt(i++);
@@ -963,6 +4701,8 @@
 
       if (code <= 0xffff) {
         results[results.length] = code;
+      } else if (code > 0x10ffff) {
+        results[results.length] = 0xfffd;
       } else {
         // Split in surrogate halves
         code -= 0x10000;
@@ -975,6 +4715,148 @@
   }
 
 
+  // Returns the length of the UTF-8 sequence by the leading byte, or 0 if invalid.
+  function utf8SequenceLength(c) {
+    if (c < 0x80) {
+      return 1;
+    }
+    if (c < 0xc0) {
+      return 0;
+    }
+    if (c < 0xe0) {
+      return 2;
+    }
+    if (c < 0xf0) {
+      return 3;
+    }
+    return c < 0xf8 ? 4 : 0;
+  }
+
+
+  // Validates the UTF-8 sequence that starts at the offset.
+  function validateUTF8(data, offset) {
+    var c = data.charCodeAt(offset);
+    var len = 0;
+    var i, c2;
+
+    if (c < 0x80) {
+      return;
+    }
+
+    if (c >= 0xc2 && c <= 0xdf) {
+      len = 2;
+    } else if (c >= 0xe0 && c <= 0xef) {
+      len = 3;
+    } else if (c >= 0xf0 && c <= 0xf4) {
+      len = 4;
+    } else {
+      throw new LZJSError('Invalid UTF-8', 'E_BAD_UTF8', offset);
+    }
+
+    if (offset + len > data.length) {
+      throw new LZJSError('Unexpected end of UTF-8', 'E_TRUNCATED', offset);
+    }
+
+    for (i = 1; i < len; i++) {
+      if ((data.charCodeAt(offset + i) & 0xc0) !== 0x80) {
+        throw new LZJSError('Invalid UTF-8', 'E_BAD_UTF8', offset + i);
+      }
+    }
+
+    // Overlong sequences and the code points over U+10FFFF
+    c2 = data.charCodeAt(offset + 1);
+    if ((c === 0xe0 && c2 < 0xa0) || (c === 0xf0 && c2 < 0x90) || (c === 0xf4 && c2 > 0x8f)) {
+      throw new LZJSError('Invalid UTF-8', 'E_BAD_UTF8', offset + 1);
+    }
+
+    // Lone surrogates are valid in WTF-8, but a pair of them should be 4 bytes.
+    if (c === 0xed && c2 >= 0xa0 && c2 <= 0xaf &&
+        data.charCodeAt(offset + 3) === 0xed && data.charCodeAt(offset + 4) >= 0xb0) {
+      throw new LZJSError('Invalid surrogate pair', 'E_BAD_UTF8', offset + 3);
+    }
+  }
+
+
+  // Adler-32 checksum of the UTF-16 code units
+  // The checksum of the previous data can be continued by adler.
+  function adler32(data, adler) {
+    var a = adler == null ? 1 : adler % 65536;
+    var b = adler == null ? 0 : (adler - a) / 65536;
+    var len = data.length;
+    var i = 0;
+    var end;
+
+    while (i < len) {
+      // Sums can be added without modulo until exceeding the safe integer.
+      end = Math.min(i + 1024, len);
+      for (; i < end; i++) {
+        a += data.charCodeAt(i);
+        b += a;
+      }
+      a %= 65521;
+      b %= 65521;
+    }
+
+    return b * 65536 + a;
+  }
+
+  // Unsigned integer to the base64 VLQ
+  function encodeVLQ(n) {
+    var result = '';
+    var digit;
+
+    do {
+      digit = n % 32;
+      n = (n - digit) / 32;
+      if (n > 0) {
+        // Continuation bit
+        digit += 32;
+      }
+      result += base64EncodeChars.charAt(digit);
+    } while (n > 0);
+
+    return result;
+  }
+
+  // Reads the base64 VLQs from the offset of the data.
+  // Returns the values and the next offset, or null if the data is incomplete.
+  function decodeVLQ(data, offset, count) {
+    var values = [];
+    var len = data.length;
+    var value, shift, digit;
+
+    while (values.length < count) {
+      value = 0;
+      shift = 1;
+      do {
+        if (offset >= len) {
+          return null;
+        }
+        digit = base64DecodeChars[data.charCodeAt(offset++)];
+        if (digit == null || digit === -1) {
+          throw new LZJSError('Invalid header', 'E_BAD_TYPE', offset - 1);
+        }
+        value += (digit % 32) * shift;
+        shift *= 32;
+      } while (digit >= 32);
+      values.push(value);
+    }
+
+    values.push(offset);
+    return values;
+  }
+
+  // UTF-8 byte length of the LZW code that follows the result.
+  // The code of the low surrogate after the high surrogate is the rest of 4 bytes.
+  function codeByteLength(result, code) {
+    var c = code.charCodeAt(0);
+
+    if ((c & 0xfc00) === 0xdc00 && (result.charCodeAt(result.length - 1) & 0xfc00) === 0xd800) {
+      return 1;
+    }
+    return c < 0x800 ? 2 : 3;
+  }
+
   // UTF-8 byte length
   function byteLength(data, encoding) {
     var length = 0;
@@ -1021,53 +4903,96 @@
     41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, -1, -1, -1, -1, -1
   ];
 
-  function base64encode(str) {
+  // URL-safe base64 without padding
+  var base64URLEncodeChars =
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+  var base64URLDecodeChars = createDecodeChars(base64URLEncodeChars);
+
+  // Base85 of the characters that are allowed in the cookie value (Z85)
+  var base85EncodeChars = '0123456789abcdefghijklmnopqrstuvwxyz' +
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZ.-:+=^!/*?&<>()[]{}@%$#';
+  var base85DecodeChars = createDecodeChars(base85EncodeChars);
+
+  function createDecodeChars(chars) {
+    var table = [];
+    var i;
+
+    for (i = 0; i < 0x100; i++) {
+      table[i] = -1;
+    }
+    for (i = 0; i < chars.length; i++) {
+      table[chars.charCodeAt(i)] = i;
+    }
+    return table;
+  }
+
+  // Non-ASCII characters are rejected instead of being aliased onto the digits.
+  function asciiCodeAt(str, i) {
+    var c = str.charCodeAt(i);
+    if (c > 0x7f) {
+      throw new LZJSError('Unknown character', 'E_BAD_TYPE', i);
+    }
+    // NaN past the end is 0, which is not a digit.
+    return c | 0;
+  }
+
+  function base64encode(str, encodeChars, pad) {
     var out, i, len;
     var c1, c2, c3;
 
+    if (encodeChars == null) {
+      encodeChars = base64EncodeChars;
+      pad = '=';
+    }
+
     len = str.length;
     i = 0;
     out = '';
     while (i < len) {
       c1 = str.charCodeAt(i++) & 0xff;
       if (i === len) {
-        out += base64EncodeChars.charAt(c1 >> 2) +
-          base64EncodeChars.charAt((c1 & 0x3) << 4) +
-          '==';
+        out += encodeChars.charAt(c1 >> 2) +
+          encodeChars.charAt((c1 & 0x3) << 4) +
+          pad + pad;
         break;
       }
 
       c2 = str.charCodeAt(i++);
       if (i === len) {
-        out += base64EncodeChars.charAt(c1 >> 2) +
-          base64EncodeChars.charAt(((c1 & 0x3) << 4) | ((c2 & 0xf0) >> 4)) +
-          base64EncodeChars.charAt((c2 & 0xf) << 2) +
-          '=';
+        out += encodeChars.charAt(c1 >> 2) +
+          encodeChars.charAt(((c1 & 0x3) << 4) | ((c2 & 0xf0) >> 4)) +
+          encodeChars.charAt((c2 & 0xf) << 2) +
+          pad;
         break;
       }
 
       c3 = str.charCodeAt(i++);
-      out += base64EncodeChars.charAt(c1 >> 2) +
-        base64EncodeChars.charAt(((c1 & 0x3) << 4) | ((c2 & 0xf0) >> 4)) +
-        base64EncodeChars.charAt(((c2 & 0xf) << 2) | ((c3 & 0xc0) >> 6)) +
-        base64EncodeChars.charAt(c3 & 0x3f);
+      out += encodeChars.charAt(c1 >> 2) +
+        encodeChars.charAt(((c1 & 0x3) << 4) | ((c2 & 0xf0) >> 4)) +
+        encodeChars.charAt(((c2 & 0xf) << 2) | ((c3 & 0xc0) >> 6)) +
+        encodeChars.charAt(c3 & 0x3f);
     }
 
     return out;
   }
 
 
-  function base64decode(str) {
+  // Characters that are not in the alphabet (e.g. whitespace) are ignored.
+  function base64decode(str, decodeChars) {
     var c1, c2, c3, c4;
     var i, len, out;
 
+    if (decodeChars == null) {
+      decodeChars = base64DecodeChars;
+    }
+
     len = str.length;
     i = 0;
     out = '';
 
     while (i < len) {
       do {
-        c1 = base64DecodeChars[str.charCodeAt(i++) & 0xff];
+        c1 = decodeChars[asciiCodeAt(str, i++)];
       } while (i < len && c1 === -1);
 
       if (c1 === -1) {
@@ -1075,7 +5000,7 @@
       }
 
       do {
-        c2 = base64DecodeChars[str.charCodeAt(i++) & 0xff];
+        c2 = decodeChars[asciiCodeAt(str, i++)];
       } while (i < len && c2 === -1);
 
       if (c2 === -1) {
@@ -1085,11 +5010,11 @@
       out += fromCharCode((c1 << 2) | ((c2 & 0x30) >> 4));
 
       do {
-        c3 = str.charCodeAt(i++) & 0xff;
+        c3 = asciiCodeAt(str, i++);
         if (c3 === 61) {
           return out;
         }
-        c3 = base64DecodeChars[c3];
+        c3 = decodeChars[c3];
       } while (i < len && c3 === -1);
 
       if (c3 === -1) {
@@ -1099,11 +5024,11 @@
       out += fromCharCode(((c2 & 0xf) << 4) | ((c3 & 0x3c) >> 2));
 
       do {
-        c4 = str.charCodeAt(i++) & 0xff;
+        c4 = asciiCodeAt(str, i++);
         if (c4 === 61) {
           return out;
         }
-        c4 = base64DecodeChars[c4];
+        c4 = decodeChars[c4];
       } while (i < len && c4 === -1);
 
       if (c4 === -1) {
@@ -1117,6 +5042,253 @@
   }
 
 
+  // 4 bytes to 5 characters, and the last n bytes to n + 1 characters
+  function base85encode(str) {
+    var out = '';
+    var len = str.length;
+    var i, j, n, value, chars;
+
+    for (i = 0; i < len; i += 4) {
+      n = Math.min(len - i, 4);
+      value = 0;
+      for (j = 0; j < 4; j++) {
+        value = value * 0x100 + (j < n ? str.charCodeAt(i + j) & 0xff : 0);
+      }
+
+      chars = '';
+      for (j = 0; j < 5; j++) {
+        chars = base85EncodeChars.charAt(value % 85) + chars;
+        value = Math.floor(value / 85);
+      }
+      out += chars.substring(0, n + 1);
+    }
+
+    return out;
+  }
+
+
+  // Characters that are not in the alphabet (e.g. whitespace) are ignored.
+  function base85decode(str) {
+    var out = '';
+    var digits = [];
+    var len = str.length;
+    var i, j, n, c, value;
+
+    for (i = 0; i < len; i++) {
+      c = base85DecodeChars[asciiCodeAt(str, i)];
+      if (c !== -1) {
+        digits[digits.length] = c;
+      }
+    }
+
+    len = digits.length;
+    for (i = 0; i < len; i += 5) {
+      n = Math.min(len - i, 5);
+      if (n < 2) {
+        break;
+      }
+
+      // The last group is padded with the maximum digit.
+      value = 0;
+      for (j = 0; j < 5; j++) {
+        value = value * 85 + (j < n ? digits[i + j] : 84);
+      }
+
+      for (j = 0; j < n - 1; j++) {
+        out += fromCharCode(Math.floor(value / Math.pow(0x100, 3 - j)) % 0x100);
+      }
+    }
+
+    return out;
+  }
+
+
+  // Packs the characters into 15 bits per UTF-16 code unit.
+  // Each character has the bits of the largest character code
+  // (e.g. 7 bits for LZSS and 11 bits for LZW of ASCII).
+  // The code units are U+0020 - U+801F, so there are no surrogates.
+  // The first code unit has the bits of a character and the number of padding bits.
+  function encodeUTF16(data) {
+    var results = [];
+    var len = data.length;
+    var bits = 1;
+    var max = 0;
+    var buffer = 0;
+    var count = 0;
+    var i, pad;
+
+    for (i = 0; i < len; i++) {
+      max |= data.charCodeAt(i);
+    }
+    while (max >> bits) {
+      bits++;
+    }
+
+    for (i = 0; i < len; i++) {
+      buffer = (buffer << bits) | data.charCodeAt(i);
+      count += bits;
+      while (count >= 15) {
+        count -= 15;
+        results[results.length] = (buffer >> count) + 0x20;
+        buffer &= (1 << count) - 1;
+      }
+    }
+
+    pad = 0;
+    if (count > 0) {
+      pad = 15 - count;
+      results[results.length] = (buffer << pad) + 0x20;
+    }
+
+    return fromCharCode((bits - 1) * 0x10 + pad + 0x20) + bufferToString_fast(results);
+  }
+
+
+  function decodeUTF16(data, strict) {
+    var results = [];
+    var head = data.charCodeAt(0) - 0x20;
+    var bits = (head >> 4) + 1;
+    var mask = (1 << bits) - 1;
+    var len = data.length;
+    var total = (len - 1) * 15 - (head & 0xf);
+    var buffer = 0;
+    var count = 0;
+    var i, c;
+
+    if (head < 0 || bits > 16) {
+      if (strict) {
+        throw new LZJSError('Invalid UTF-16 header', 'E_BAD_TYPE', 0);
+      }
+      return '';
+    }
+
+    for (i = 1; i < len; i++) {
+      c = data.charCodeAt(i) - 0x20;
+      if (c < 0 || c > 0x7fff) {
+        if (strict) {
+          throw new LZJSError('Invalid UTF-16 code unit', 'E_BAD_TYPE', i);
+        }
+        continue;
+      }
+
+      buffer = (buffer << 15) | c;
+      count += 15;
+      while (count >= bits && total >= bits) {
+        count -= bits;
+        total -= bits;
+        results[results.length] = (buffer >> count) & mask;
+      }
+      buffer &= (1 << count) - 1;
+    }
+
+    return bufferToString_fast(results);
+  }
+
+
+  // Output alphabets that need no escaping in the target.
+  // The LZSS table is mapped to the safe characters in the same order,
+  // and the rest of the table is mapped to Latin-1 letters (U+00C0 -).
+  // The other types are kept as is if all characters are safe,
+  // otherwise they are wrapped in base64 with the type 'B'.
+  // The mapped data and base64 follow the alphabet magic instead of the header magic
+  // that is not safe in the alphabets.
+  var ALPHABET_MAGIC = '~LZ';
+  var ALPHABET_TYPES = {
+    printable: 'P',
+    json: 'J',
+    xml: 'X'
+  };
+  var ALPHABET_NAMES = {
+    P: 'printable',
+    J: 'json',
+    X: 'xml'
+  };
+
+  var ALPHABET_UNSAFE = {
+    P: /[\u0000-\u001f\u007f-\u009f\ud800-\udfff]/,
+    J: /[\u0000-\u001f\u007f-\u009f\ud800-\udfff"\\]/,
+    X: /[\u0000-\u001f\u007f-\u009f\ud800-\udfff"&'<>\ufffe\uffff]/
+  };
+
+  var ALPHABET_TABLES = {
+    P: createAlphabet(ALPHABET_UNSAFE.P),
+    J: createAlphabet(ALPHABET_UNSAFE.J),
+    X: createAlphabet(ALPHABET_UNSAFE.X)
+  };
+
+  // Returns the tables to encode the LZSS table characters and to decode them.
+  function createAlphabet(unsafe) {
+    var encode = [];
+    var decode = {};
+    var c = 0x20;
+    var i = 0;
+
+    while (i < TABLE_LENGTH) {
+      if (c === 0x7f) {
+        c = 0xc0;
+      }
+      if (!unsafe.test(fromCharCode(c))) {
+        encode[TABLE.charCodeAt(i)] = c;
+        decode[fromCharCode(c)] = TABLE.charCodeAt(i);
+        i++;
+      }
+      c++;
+    }
+    return { encode: encode, decode: decode };
+  }
+
+  function getAlphabetType(alphabet) {
+    if (!hasOwnProperty.call(ALPHABET_TYPES, alphabet)) {
+      throw new Error('Unknown alphabet: ' + alphabet);
+    }
+    return ALPHABET_TYPES[alphabet];
+  }
+
+  // Encodes the compressed data that starts with the type.
+  function encodeAlphabet(data, type) {
+    var table, result, i, len;
+
+    if (!ALPHABET_UNSAFE[type].test(data)) {
+      return data;
+    }
+
+    if (data.charAt(0) !== 'S') {
+      return ALPHABET_MAGIC + 'B' + base64encode(toUTF8(data));
+    }
+
+    table = ALPHABET_TABLES[type].encode;
+    result = [];
+    for (i = 1, len = data.length; i < len; i++) {
+      result[result.length] = table[data.charCodeAt(i)];
+    }
+    return ALPHABET_MAGIC + type + bufferToString_fast(result);
+  }
+
+  // Returns the type that follows the alphabet magic, or null if the data does not start with it.
+  function readAlphabetType(data) {
+    var type = data.charAt(ALPHABET_MAGIC.length);
+
+    if (data.indexOf(ALPHABET_MAGIC) !== 0 || !/^[PJXB]$/.test(type)) {
+      return null;
+    }
+    return type;
+  }
+
+  // Decodes the characters of the alphabet to the LZSS table.
+  // Unknown characters are decoded to U+007F that is not in the table.
+  function decodeAlphabet(data, type) {
+    var table = ALPHABET_TABLES[type].decode;
+    var result = [];
+    var i, c;
+
+    for (i = 0; i < data.length; i++) {
+      c = table[data.charAt(i)];
+      result[i] = c === void 0 ? 0x7f : c;
+    }
+    return bufferToString_fast(result);
+  }
+
+
   /**
    * @name lzjs
    * @type {Object}
@@ -1132,11 +5304,56 @@
      *
      * @param {string|Buffer} data Input data
      * @param {Object=} [options] Options
+     * @param {number=} [options.level] Compression level 1-9
+     *   (higher levels are slower and compress better by a larger window)
+     * @param {string=} [options.alphabet] Output alphabet 'printable', 'json' or 'xml'
+     * @param {string=} [options.method] Compression method 'lzss', 'lzss-huffman', 'lzw',
+     *   'lzw-utf8', 'ppm', 'none', 'auto' (default) or 'best' (tries all methods)
      * @return {string} Compressed data
      */
     compress: function(data, options) {
       return new LZJS(options).compress(data);
     },
+    /**
+     * Compress data and report the chosen method.
+     *
+     * @param {string|Buffer} data Input data
+     * @param {Object=} [options] Options
+     * @return {{output: string, method: string, inputBytes: number, outputBytes: number}}
+     *   Compressed data, the method and the UTF-8 byte lengths of the input and the output
+     */
+    compressWithInfo: function(data, options) {
+      return new LZJS(options).compressWithInfo(data);
+    },
+    /**
+     * Estimate the compressed size by compressing the samples of the data.
+     *
+     * @example
+     * if (lzjs.estimate(data).fitsIn(remainingBytes)) {
+     *   localStorage.setItem('data', lzjs.compress(data));
+     * }
+     *
+     * @param {string|Buffer} data Input data
+     * @param {Object=} [options] Options (same as compress)
+     * @return {{bytes: number, error: number, inputBytes: number,
+     *   fitsIn: function(number): boolean}}
+     *   Estimated UTF-8 bytes of the output, the error bound of it,
+     *   and the function that returns whether the output fits in the bytes
+     */
+    estimate: function(data, options) {
+      return new LZJS(options).estimate(data);
+    },
+    /**
+     * Inspect compressed data without decompressing it.
+     * LZSS has the counts of literals and back-references,
+     * and LZW has the size of the dictionary.
+     *
+     * @param {string} data Compressed data
+     * @return {Object} Method, compressed length, decoded length and statistics
+     */
+    inspect: function(data) {
+      return new LZJS().inspect(data);
+    },
     /**
      * Decompress data.
      *
@@ -1165,8 +5382,288 @@
      * @return {string} Decompressed data
      */
     decompressFromBase64: function(data, options) {
-      return new LZJS(options).decompress(toUTF16(base64decode(data)));
-    }
+      return new LZJS(options).decompress(toUTF16(base64decode(data), options && options.strict));
+    },
+    /**
+     * Compress data to UTF-16 string that has 15 bits per code unit.
+     * It is useful for localStorage that counts the quota in UTF-16 code units.
+     *
+     * @param {string|Buffer} data Input data
+     * @param {Object=} [options] Options
+     * @return {string} Compressed data
+     */
+    compressToUTF16: function(data, options) {
+      data = new LZJS(options).compress(data);
+      return data.length === 0 ? '' : encodeUTF16(data);
+    },
+    /**
+     * Decompress data from UTF-16 string.
+     *
+     * @param {string} data Input data
+     * @param {Object=} [options] Options
+     * @return {string} Decompressed data
+     */
+    decompressFromUTF16: function(data, options) {
+      if (data == null || data.length === 0) {
+        return '';
+      }
+      data = decodeUTF16('' + data, options && options.strict);
+      return new LZJS(options).decompress(data);
+    },
+    /**
+     * Compress data to URL-safe base64 string without padding.
+     * The output can be used in query strings and URL fragments without escaping.
+     *
+     * @param {string|Buffer} data Input data
+     * @param {Object=} [options] Options
+     * @return {string} Compressed data
+     */
+    compressToEncodedURIComponent: function(data, options) {
+      return base64encode(toUTF8(new LZJS(options).compress(data)), base64URLEncodeChars, '');
+    },
+    /**
+     * Decompress data from URL-safe base64 string.
+     * Whitespace and line breaks are ignored.
+     *
+     * @param {string} data Input data
+     * @param {Object=} [options] Options
+     * @return {string} Decompressed data
+     */
+    decompressFromEncodedURIComponent: function(data, options) {
+      data = base64decode(data, base64URLDecodeChars);
+      return new LZJS(options).decompress(toUTF16(data, options && options.strict));
+    },
+    /**
+     * Compress data to base85 string that can be used in the cookie value.
+     *
+     * @param {string|Buffer} data Input data
+     * @param {Object=} [options] Options
+     * @return {string} Compressed data
+     */
+    compressToBase85: function(data, options) {
+      return base85encode(toUTF8(new LZJS(options).compress(data)));
+    },
+    /**
+     * Decompress data from base85 string.
+     * Whitespace and line breaks are ignored.
+     *
+     * @param {string} data Input data
+     * @param {Object=} [options] Options
+     * @return {string} Decompressed data
+     */
+    decompressFromBase85: function(data, options) {
+      data = base85decode(data);
+      return new LZJS(options).decompress(toUTF16(data, options && options.strict));
+    },
+    /**
+     * Compress binary data.
+     *
+     * @param {Uint8Array|Buffer|Array} data Input data
+     * @param {Object=} [options] Options
+     * @return {Uint8Array|Array} Compressed data
+     */
+    compressBytes: function(data, options) {
+      return new LZJS(options).compressBytes(data);
+    },
+    /**
+     * Decompress binary data.
+     *
+     * @param {Uint8Array|Buffer|Array} data Input data
+     * @param {Object=} [options] Options
+     * @return {Uint8Array|Array} Decompressed data
+     */
+    decompressBytes: function(data, options) {
+      return new LZJS(options).decompressBytes(data);
+    },
+    /**
+     * Compress data to the zlib format (RFC 1950) of Deflate (RFC 1951).
+     * The output can be read by zlib such as zlib.inflateSync of Node.js.
+     *
+     * @param {string|Uint8Array|Buffer|Array} data Input data (a string is encoded in UTF-8)
+     * @param {Object=} [options] Options
+     * @param {number=} [options.level] Compression level 1-9 (default 6)
+     * @param {boolean=} [options.raw] Raw Deflate without the zlib header and the checksum
+     * @return {Uint8Array|Array} Compressed data
+     */
+    deflate: function(data, options) {
+      if (data == null) {
+        data = '';
+      }
+      data = typeof data === 'string' ? toUTF8(data) : bufferToString_fast(data);
+      return new Deflate(options).compress(data);
+    },
+    /**
+     * Decompress data of the zlib format (RFC 1950) or Deflate (RFC 1951).
+     *
+     * @param {Uint8Array|Buffer|Array} data Input data
+     * @param {Object=} [options] Options
+     * @param {boolean=} [options.raw] Raw Deflate without the zlib header and the checksum
+     * @param {string=} [options.to] 'string' to decode the output from UTF-8
+     * @param {number=} [options.maxOutputLength] Maximum bytes of the output
+     * @return {Uint8Array|Array|string} Decompressed data
+     */
+    inflate: function(data, options) {
+      var result = new Inflate(options).decompress(data);
+
+      if (options && options.to === 'string') {
+        return toUTF16(bufferToString_fast(result), options.strict);
+      }
+      return result;
+    },
+    /**
+     * Create a Node.js Transform stream that compresses data.
+     * The input is read as UTF-8 and the output is always compressed by LZSS.
+     *
+     * @param {Object=} [options] Options
+     * @return {stream.Transform} Compression stream
+     */
+    createCompressStream: function(options) {
+      return createNodeStream(new LZJSStreamCompressor(options));
+    },
+    /**
+     * Create a Node.js Transform stream that decompresses data.
+     *
+     * @param {Object=} [options] Options
+     * @return {stream.Transform} Decompression stream
+     */
+    createDecompressStream: function(options) {
+      return createNodeStream(new LZJSStreamDecompressor(options));
+    },
+    /**
+     * Create a push-based decompressor.
+     * The compressed data can be pushed in arbitrary fragments.
+     *
+     * @example
+     * var decompressor = lzjs.createDecompressor();
+     * socket.on('data', function(data) {
+     *   output += decompressor.push(data);
+     * });
+     * socket.on('end', function() {
+     *   output += decompressor.end();
+     * });
+     *
+     * @param {Object=} [options] Options
+     * @return {{push: function(string): string, end: function(): string}}
+     *   Decompressor
+     */
+    createDecompressor: function(options) {
+      return new LZJSStreamDecompressor(options);
+    },
+    /**
+     * Compress data asynchronously without blocking the event loop.
+     * The data is always compressed by LZSS.
+     *
+     * @param {string|Buffer} data Input data
+     * @param {Object=} [options] Options
+     * @param {string=} [options.method] Only 'lzss' is supported, and the others reject
+     * @param {function(number, number)=} [options.onProgress]
+     *   Called with the number of processed characters and the total
+     * @param {AbortSignal=} [options.signal] Signal to abort the compression
+     * @return {Promise.<string>} Compressed data
+     */
+    compressAsync: function(data, options) {
+      // The options are checked in the chain, so they reject the Promise instead of throwing.
+      return Promise.resolve().then(function() {
+        // Only LZSS can compress the data chunk by chunk.
+        if (options && options.method != null && options.method !== 'lzss') {
+          throw new LZJSError('compressAsync does not support the method: ' + options.method,
+            'E_BAD_OPTION', 0);
+        }
+        if (options && options.alphabet != null &&
+            !hasOwnProperty.call(ALPHABET_TYPES, options.alphabet)) {
+          throw new LZJSError('Unknown alphabet: ' + options.alphabet, 'E_BAD_OPTION', 0);
+        }
+        if (options && options.level != null && !LEVELS[options.level]) {
+          throw new LZJSError('Invalid compression level: ' + options.level, 'E_BAD_OPTION', 0);
+        }
+
+        if (data == null || data.length === 0) {
+          return '';
+        }
+
+        data = '' + data;
+
+        var alphabet = options && options.alphabet != null ? getAlphabetType(options.alphabet) : null;
+        var header = !!(options && (options.header || options.checksum));
+        var compressor = new LZJSStreamCompressor({
+          level: options && options.level,
+          dictionary: options && options.dictionary,
+          longMatch: header
+        });
+
+        return processAsync(compressor, data, options)
+          .then(function(result) {
+            if (result.length - 1 > byteLength(data)) {
+              result = 'N' + data;
+            }
+            if (header) {
+              result = createHeader(result.charAt(0), data, options) + result.substring(1);
+            }
+            if (alphabet !== null) {
+              result = encodeAlphabet(result, alphabet);
+            }
+            return result;
+          });
+      });
+    },
+    /**
+     * Decompress data asynchronously without blocking the event loop.
+     *
+     * @param {string} data Input data
+     * @param {Object=} [options] Options
+     * @param {function(number, number)=} [options.onProgress]
+     *   Called with the number of processed characters and the total
+     * @param {AbortSignal=} [options.signal] Signal to abort the decompression
+     * @return {Promise.<string>} Decompressed data
+     */
+    decompressAsync: function(data, options) {
+      if (data == null || data.length === 0) {
+        return Promise.resolve('');
+      }
+
+      data = '' + data;
+
+      return processAsync(new LZJSStreamDecompressor(options), data, options);
+    },
+    /**
+     * Create a dictionary from the samples for the dictionary option.
+     *
+     * @param {Array.<string>} samples Representative data
+     * @param {Object=} [options] Options
+     * @param {number=} [options.size] Maximum length of the dictionary (default 1024)
+     * @return {string} Dictionary
+     */
+    trainDictionary: function(samples, options) {
+      return trainDictionary(samples, options);
+    },
+    /**
+     * Error that is thrown on the invalid compressed data.
+     * It has the code (E_BAD_TYPE, E_TRUNCATED, E_BAD_REFERENCE, E_BAD_UTF8,
+     * E_CHECKSUM, E_DICTIONARY or E_OUTPUT_LIMIT) and the offset in the compressed data.
+     * compressAsync also rejects the invalid options with E_BAD_OPTION.
+     *
+     * @constructor
+     */
+    LZJSError: LZJSError,
+    /**
+     * WHATWG TransformStream that compresses data like the platform CompressionStream.
+     * The input is read as UTF-8 and the output is always compressed by LZSS.
+     * Binary chunks that are not UTF-8 are rejected with LZJSError (E_BAD_UTF8).
+     *
+     * @example
+     * response.body.pipeThrough(new lzjs.CompressionStream());
+     *
+     * @constructor
+     * @param {Object=} [options] Options
+     */
+    CompressionStream: CompressionStream,
+    /**
+     * WHATWG TransformStream that decompresses data like the platform DecompressionStream.
+     *
+     * @constructor
+     * @param {Object=} [options] Options
+     */
+    DecompressionStream: DecompressionStream
   };
 
   return lzjs;
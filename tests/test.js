@@ -4,6 +4,12 @@ var lzjs = require('../lzjs');
 
 var assert = require('assert');
 var fs = require('fs');
+var stream = require('stream');
+var webStream = (function() {
+  try {
+    return require('stream/web');
+  } catch (e) {}
+}());
 
 describe('lzjs test', function() {
 
@@ -180,4 +186,1887 @@ describe('lzjs test', function() {
       assert.equal(decompressed, buffer.toString());
     });
   });
+
+  describe('compressBytes/decompressBytes', function() {
+    function randomBytes(length) {
+      var bytes = new Uint8Array(length);
+      for (var i = 0; i < length; i++) {
+        bytes[i] = ~~(Math.random() * 0x100);
+      }
+      return bytes;
+    }
+
+    it('ascii bytes', function() {
+      var bytes = Buffer.from(new Array(6).join(tests.hello));
+      var compressed = lzjs.compressBytes(bytes);
+      assert(compressed instanceof Uint8Array);
+      assert(compressed.length < bytes.length);
+      var decompressed = lzjs.decompressBytes(compressed);
+      assert(decompressed instanceof Uint8Array);
+      assert.deepEqual(Buffer.from(decompressed), bytes);
+    });
+
+    it('all byte values', function() {
+      var bytes = new Uint8Array(0x100 * 8);
+      for (var i = 0; i < bytes.length; i++) {
+        bytes[i] = i & 0xff;
+      }
+      var compressed = lzjs.compressBytes(bytes);
+      assert(compressed.length < bytes.length);
+      var decompressed = lzjs.decompressBytes(compressed);
+      assert.deepEqual(decompressed, bytes);
+    });
+
+    it('invalid UTF-8 sequences', function() {
+      var bytes = Buffer.from([0xff, 0xfe, 0xc0, 0x80, 0xed, 0xa0, 0x80, 0x61]);
+      var compressed = lzjs.compressBytes(bytes);
+      var decompressed = lzjs.decompressBytes(compressed);
+      assert.deepEqual(Buffer.from(decompressed), bytes);
+    });
+
+    it('random bytes', function() {
+      var bytes = randomBytes(0x10000);
+      var compressed = lzjs.compressBytes(bytes);
+      assert(compressed.length <= bytes.length + 1);
+      var decompressed = lzjs.decompressBytes(compressed);
+      assert.deepEqual(decompressed, bytes);
+    });
+
+    it('this source code (Buffer)', function() {
+      var buffer = tests.code;
+      var compressed = lzjs.compressBytes(buffer);
+      assert(compressed.length < buffer.length);
+      var decompressed = lzjs.decompressBytes(compressed);
+      assert.deepEqual(Buffer.from(decompressed), buffer);
+    });
+
+    it('empty bytes', function() {
+      assert.equal(lzjs.compressBytes(new Uint8Array(0)).length, 0);
+      assert.equal(lzjs.decompressBytes(new Uint8Array(0)).length, 0);
+    });
+  });
+
+  describe('createCompressStream/createDecompressStream', function() {
+    function pipe(transform, chunks, callback) {
+      var input = new stream.PassThrough();
+      var outputs = [];
+
+      input.pipe(transform);
+      transform.on('data', function(chunk) {
+        outputs.push(chunk);
+      });
+      transform.on('error', callback);
+      transform.on('end', function() {
+        callback(null, Buffer.concat(outputs));
+      });
+
+      chunks.forEach(function(chunk) {
+        input.write(chunk);
+      });
+      input.end();
+    }
+
+    function split(buffer, size) {
+      var chunks = [];
+      for (var i = 0; i < buffer.length; i += size) {
+        chunks.push(buffer.slice(i, i + size));
+      }
+      return chunks;
+    }
+
+    var text = new Array(300).join(
+      'lzjs stream \u3042\u3044\u3046 \ud83d\ude00 ' + Math.random() + '\n');
+
+    it('compress stream', function(done) {
+      var chunks = split(Buffer.from(text), 1000);
+      pipe(lzjs.createCompressStream(), chunks, function(err, compressed) {
+        assert.ifError(err);
+        assert(compressed.length < Buffer.byteLength(text));
+        assert.equal(lzjs.decompress(compressed.toString()), text);
+        done();
+      });
+    });
+
+    it('compress stream outputs incrementally', function(done) {
+      var transform = lzjs.createCompressStream();
+      var count = 0;
+      transform.on('data', function() {
+        count++;
+      });
+      transform.on('end', function() {
+        assert(count > 1);
+        done();
+      });
+      split(Buffer.from(text), 1000).forEach(function(chunk) {
+        transform.write(chunk);
+      });
+      transform.end();
+    });
+
+    it('decompress stream', function(done) {
+      var compressed = Buffer.from(lzjs.compress(text));
+      var chunks = split(compressed, 7);
+      pipe(lzjs.createDecompressStream(), chunks, function(err, decompressed) {
+        assert.ifError(err);
+        assert.equal(decompressed.toString(), text);
+        done();
+      });
+    });
+
+    it('decompress stream with each type', function(done) {
+      var inputs = [
+        new Array(10).join(tests.hello),
+        new Array(10).join('\u3042\u3044a'),
+        new Array(10).join('a\u3042bcdefghijklmn'),
+        '\ud83d\ude00'
+      ];
+      var count = 0;
+
+      inputs.forEach(function(input) {
+        var chunks = split(Buffer.from(lzjs.compress(input)), 1);
+        pipe(lzjs.createDecompressStream(), chunks, function(err, decompressed) {
+          assert.ifError(err);
+          assert.equal(decompressed.toString(), input);
+          if (++count === inputs.length) {
+            done();
+          }
+        });
+      });
+    });
+
+    it('compress and decompress streams', function(done) {
+      var chunks = split(Buffer.from(text), 333);
+      pipe(lzjs.createCompressStream(), chunks, function(err, compressed) {
+        assert.ifError(err);
+        var chunks = split(compressed, 5);
+        pipe(lzjs.createDecompressStream(), chunks, function(err, decompressed) {
+          assert.ifError(err);
+          assert.equal(decompressed.toString(), text);
+          done();
+        });
+      });
+    });
+
+    it('empty stream', function(done) {
+      pipe(lzjs.createCompressStream(), [], function(err, compressed) {
+        assert.ifError(err);
+        assert.equal(compressed.length, 0);
+        done();
+      });
+    });
+  });
+
+  (webStream ? describe : describe.skip)('CompressionStream/DecompressionStream', function() {
+    function read(readable) {
+      var reader = readable.getReader();
+      var chunks = [];
+
+      function next() {
+        return reader.read().then(function(result) {
+          if (result.done) {
+            return Buffer.concat(chunks);
+          }
+          chunks.push(Buffer.from(result.value));
+          return next();
+        });
+      }
+
+      return next();
+    }
+
+    function source(buffer, size) {
+      var offset = 0;
+      return new webStream.ReadableStream({
+        pull: function(controller) {
+          if (offset >= buffer.length) {
+            controller.close();
+            return;
+          }
+          controller.enqueue(new Uint8Array(buffer.slice(offset, offset + size)));
+          offset += size;
+        }
+      });
+    }
+
+    var text = new Array(300).join(
+      'lzjs web stream \u3042\u3044\u3046 \ud83d\ude00 ' + Math.random() + '\n');
+
+    it('has readable and writable', function() {
+      var cs = new lzjs.CompressionStream();
+      assert(cs.readable instanceof webStream.ReadableStream);
+      assert(cs.writable instanceof webStream.WritableStream);
+    });
+
+    it('compress with pipeThrough', function() {
+      var readable = source(Buffer.from(text), 1000)
+        .pipeThrough(new lzjs.CompressionStream());
+
+      return read(readable).then(function(compressed) {
+        assert(compressed.length < Buffer.byteLength(text));
+        assert.equal(lzjs.decompress(compressed.toString()), text);
+      });
+    });
+
+    it('decompress with pipeThrough', function() {
+      var compressed = Buffer.from(lzjs.compress(text));
+      var readable = source(compressed, 3)
+        .pipeThrough(new lzjs.DecompressionStream());
+
+      return read(readable).then(function(decompressed) {
+        assert.equal(decompressed.toString(), text);
+      });
+    });
+
+    it('compress and decompress with pipeThrough', function() {
+      var readable = source(Buffer.from(text), 77)
+        .pipeThrough(new lzjs.CompressionStream())
+        .pipeThrough(new lzjs.DecompressionStream());
+
+      return read(readable).then(function(decompressed) {
+        assert.equal(decompressed.toString(), text);
+      });
+    });
+
+    it('keeps the byte order mark', function() {
+      var input = '\ufeff' + text;
+      var readable = source(Buffer.from(input), 2)
+        .pipeThrough(new lzjs.CompressionStream())
+        .pipeThrough(new lzjs.DecompressionStream());
+
+      return read(readable).then(function(decompressed) {
+        assert.equal(decompressed.toString(), input);
+      });
+    });
+
+    it('rejects binary chunks that are not UTF-8', function() {
+      var bytes = Buffer.from([0x61, 0x62, 0xff, 0xfe, 0x00, 0x80]);
+      var readable = source(bytes, 2).pipeThrough(new lzjs.CompressionStream());
+
+      return read(readable).then(function() {
+        assert.fail('binary chunks are compressed');
+      }, function(err) {
+        assert(err instanceof lzjs.LZJSError);
+        assert.equal(err.code, 'E_BAD_UTF8');
+        assert.equal(err.offset, 2);
+      });
+    });
+  });
+
+  describe('createDecompressor', function() {
+    var inputs = {
+      S: new Array(20).join('\u3042\u3044\u3046abc\ud83d\ude00'),
+      W: new Array(20).join(tests.hello),
+      U: new Array(20).join('abcdefghijklmnopqrstuvwxyz0123456789\u3042\ud83d\ude00'),
+      N: '\ud83d\ude00',
+      H: new Array(20).join('\u3042\u3044\u3046abcdefghijklmnopqrstuvwxyz\ud83d\ude00'),
+      M: new Array(20).join('\u3042\u3044\u3046 hello world \ud83d\ude00')
+    };
+    var methods = { S: 'lzss', W: 'lzw', U: 'lzw-utf8', N: 'none', H: 'lzss-huffman', M: 'ppm' };
+
+    Object.keys(inputs).forEach(function(type) {
+      it('split at every position (' + type + ')', function() {
+        var input = inputs[type];
+        var compressed = lzjs.compress(input, { method: methods[type] });
+        assert.equal(lzjs.inspect(compressed).method, methods[type]);
+
+        for (var i = 0; i <= compressed.length; i++) {
+          var decompressor = lzjs.createDecompressor();
+          var output = decompressor.push(compressed.slice(0, i)) +
+                       decompressor.push(compressed.slice(i)) +
+                       decompressor.end();
+          assert.equal(output, input);
+        }
+      });
+
+      it('push each character (' + type + ')', function() {
+        var input = inputs[type];
+        var compressed = lzjs.compress(input, { method: methods[type] });
+        var decompressor = lzjs.createDecompressor();
+        var outputs = [];
+
+        for (var i = 0; i < compressed.length; i++) {
+          outputs.push(decompressor.push(compressed.charAt(i)));
+        }
+        outputs.push(decompressor.end());
+
+        assert.equal(outputs.join(''), input);
+        outputs.forEach(function(output) {
+          var c = output.charCodeAt(output.length - 1);
+          assert(!(c >= 0xd800 && c <= 0xdbff));
+        });
+      });
+    });
+
+    it('yields decompressed data as soon as available', function() {
+      var input = tests.code.toString().slice(0, 50000);
+
+      [{}, { method: 'lzss' }, { method: 'lzss-huffman' }, { method: 'lzw' }].forEach(function(options) {
+        var compressed = lzjs.compress(input, options);
+        var half = compressed.length >> 1;
+        var decompressor = lzjs.createDecompressor();
+        var output = decompressor.push(compressed.slice(0, half));
+        // Most of the first half is decoded.
+        assert(output.length > half);
+        assert.equal(input.indexOf(output), 0);
+        output += decompressor.push(compressed.slice(half));
+        output += decompressor.end();
+        assert.equal(output, input);
+      });
+    });
+  });
+
+  describe('compressAsync/decompressAsync', function() {
+    var text;
+
+    before(function() {
+      text = new Array(30).join(tests.code.toString() + '\u3042\u3044\u3046');
+    });
+
+    it('compress and decompress', function() {
+      return lzjs.compressAsync(text).then(function(compressed) {
+        assert(compressed.length < text.length);
+        assert.equal(lzjs.decompress(compressed), text);
+        return lzjs.decompressAsync(compressed);
+      }).then(function(decompressed) {
+        assert.equal(decompressed, text);
+      });
+    });
+
+    it('decompress each type', function() {
+      var inputs = [
+        tests.hello,
+        '\u3042\u3044\u3046',
+        new Array(20).join('abcdefghijklmnopqrstuvwxyz0123456789\u3042'),
+        '\ud83d\ude00'
+      ];
+
+      return Promise.all(inputs.map(function(input) {
+        return lzjs.decompressAsync(lzjs.compress(input));
+      })).then(function(outputs) {
+        assert.deepEqual(outputs, inputs);
+      });
+    });
+
+    it('incompressible data', function() {
+      var input = tests.randoms[0];
+      return lzjs.compressAsync(input).then(function(compressed) {
+        assert.equal(compressed, 'N' + input);
+      });
+    });
+
+    it('yields to the event loop', function() {
+      var ticks = 0;
+      var timer = setInterval(function() {
+        ticks++;
+      }, 0);
+
+      return lzjs.compressAsync(text).then(function() {
+        clearInterval(timer);
+        assert(ticks > 0);
+      });
+    });
+
+    it('reports progress', function() {
+      var progress = [];
+      var options = {
+        onProgress: function(loaded, total) {
+          progress.push([loaded, total]);
+        }
+      };
+
+      return lzjs.compressAsync(text, options).then(function() {
+        assert(progress.length > 1);
+        for (var i = 1; i < progress.length; i++) {
+          assert(progress[i][0] > progress[i - 1][0]);
+        }
+        assert.deepEqual(progress[progress.length - 1], [text.length, text.length]);
+      });
+    });
+
+    (typeof AbortController === 'function' ? it : it.skip)('aborts by AbortSignal', function() {
+      var controller = new AbortController();
+      var count = 0;
+      var options = {
+        signal: controller.signal,
+        onProgress: function() {
+          count++;
+          controller.abort();
+        }
+      };
+
+      return lzjs.compressAsync(text, options).then(function() {
+        assert.fail('not aborted');
+      }, function(err) {
+        assert.equal(err.name, 'AbortError');
+        assert.equal(count, 1);
+      });
+    });
+
+    (typeof AbortController === 'function' ? it : it.skip)('aborted signal', function() {
+      var controller = new AbortController();
+      controller.abort();
+
+      return lzjs.decompressAsync(lzjs.compress(text), {
+        signal: controller.signal
+      }).then(function() {
+        assert.fail('not aborted');
+      }, function(err) {
+        assert.equal(err.name, 'AbortError');
+      });
+    });
+
+    function assertRejected(promise, pattern) {
+      return promise.then(function() {
+        assert.fail('not rejected');
+      }, function(err) {
+        assert(err instanceof lzjs.LZJSError);
+        assert.equal(err.code, 'E_BAD_OPTION');
+        assert(pattern.test(err.message));
+      });
+    }
+
+    it('method', function() {
+      var promises = ['auto', 'best', 'lzw', 'ppm', 'none'].map(function(method) {
+        return assertRejected(lzjs.compressAsync(text, { method: method }),
+          /does not support the method/);
+      });
+
+      return Promise.all(promises).then(function() {
+        return lzjs.compressAsync(text, { method: 'lzss' });
+      }).then(function(compressed) {
+        assert.equal(compressed.charAt(0), 'S');
+        assert.equal(lzjs.decompress(compressed), text);
+      });
+    });
+
+    it('reject the invalid options', function() {
+      return Promise.all([
+        assertRejected(lzjs.compressAsync(text, { alphabet: 'ebcdic' }), /Unknown alphabet/),
+        assertRejected(lzjs.compressAsync(text, { level: 10 }), /Invalid compression level/),
+        assertRejected(lzjs.compressAsync('', { method: 'lzw' }), /does not support the method/)
+      ]);
+    });
+  });
+
+  describe('compression levels', function() {
+    function randomAlpha(length) {
+      var s = '';
+      for (var i = 0; i < length; i++) {
+        s += String.fromCharCode(0x61 + ~~(Math.random() * 26));
+      }
+      return s;
+    }
+
+    var far;
+
+    before(function() {
+      // Repeated structures several KB apart
+      var block = randomAlpha(3000);
+      far = '';
+      for (var i = 0; i < 5; i++) {
+        far += block + randomAlpha(2000) + '\u3042';
+      }
+    });
+
+    it('compress/decompress with each level', function() {
+      var unicode = new Array(100).join('a\u3042\u3044\u3046\ud83d\ude00');
+      var inputs = [tests.hello, tests.code.toString(), far, unicode];
+      for (var level = 1; level <= 9; level++) {
+        inputs.forEach(function(input) {
+          var compressed = lzjs.compress(input, { level: level });
+          assert(compressed.length > 0);
+          assert.equal(lzjs.decompress(compressed), input);
+        });
+      }
+    });
+
+    it('default output and levels 1 - 5 can be read by lzjs 1.3.0', function() {
+      var legacy = require('../lzjs.min');
+      var inputs = [tests.hello, tests.code.toString(), far,
+        new Array(100).join('a\u3042\u3044\u3046\ud83d\ude00'),
+        // Huffman would be the smallest for the data.
+        tests.code.toString().replace(/[a-z]/g, function(c) {
+          return String.fromCharCode(c.charCodeAt(0) + 0x3000);
+        })];
+      inputs.forEach(function(input) {
+        assert.equal(legacy.decompress(lzjs.compress(input)), input);
+      });
+      for (var level = 1; level <= 5; level++) {
+        inputs.forEach(function(input) {
+          assert.equal(legacy.decompress(lzjs.compress(input, { level: level })), input);
+          assert.equal(legacy.decompress(lzjs.compress(input, { level: level, method: 'lzss' })), input);
+        });
+      }
+    });
+
+    it('higher level finds matches far back', function() {
+      var compressed = lzjs.compress(far, { method: 'lzss' });
+      var compressed9 = lzjs.compress(far, { level: 9, method: 'lzss' });
+      assert.equal(compressed9.charAt(0), 'S');
+      assert(compressed9.length < compressed.length * 0.8);
+      assert.equal(lzjs.decompress(compressed9), far);
+    });
+
+    it('higher levels are not larger on random data', function() {
+      [[0x61, 26], [0x21, 94], [0x3042, 40], [0x4e00, 500]].forEach(function(chars) {
+        var input = '';
+        for (var i = 0; i < 20000; i++) {
+          input += String.fromCharCode(chars[0] + ~~(Math.random() * chars[1]));
+        }
+
+        // Far matches that cost more than the literals are not taken.
+        var size = lzjs.compress(input, { level: 5, method: 'lzss' }).length;
+        for (var level = 6; level <= 9; level++) {
+          var compressed = lzjs.compress(input, { level: level, method: 'lzss' });
+          // The levels 7 - 9 have the token of the level and the window size (3 characters).
+          assert(compressed.length - (level > 6 ? 3 : 0) <= size);
+          assert.equal(lzjs.decompress(compressed), input);
+        }
+      });
+    });
+
+    it('decompress level 9 with the stream decompressor', function() {
+      var compressed = lzjs.compress(far, { level: 9 });
+      for (var size = 1; size < 8; size++) {
+        var decompressor = lzjs.createDecompressor();
+        var output = '';
+        for (var i = 0; i < compressed.length; i += size) {
+          output += decompressor.push(compressed.slice(i, i + size));
+        }
+        output += decompressor.end();
+        assert.equal(output, far);
+      }
+    });
+
+    it('compress stream with level', function(done) {
+      var transform = lzjs.createCompressStream({ level: 9 });
+      var outputs = [];
+      transform.on('data', function(chunk) {
+        outputs.push(chunk);
+      });
+      transform.on('end', function() {
+        var compressed = Buffer.concat(outputs).toString();
+        assert(compressed.length < lzjs.compress(far, { method: 'lzss' }).length * 0.8);
+        assert.equal(lzjs.decompress(compressed), far);
+        done();
+      });
+      for (var i = 0; i < far.length; i += 1000) {
+        transform.write(far.slice(i, i + 1000));
+      }
+      transform.end();
+    });
+
+    it('invalid level', function() {
+      assert.throws(function() {
+        lzjs.compress(tests.hello, { level: 0 });
+      });
+      assert.throws(function() {
+        lzjs.compress(tests.hello, { level: 10 });
+      });
+    });
+  });
+
+  describe('hash chain', function() {
+    // Window sizes and chain lengths of the levels 1 - 9
+    var windows = [128, 256, 304, 304, 304, 1024, 4096, 16384, 32768];
+    var chains = [0, 0, 0, 0, 0, 256, 512, 1024, 4096];
+
+    function randomAlpha(length) {
+      var s = '';
+      for (var i = 0; i < length; i++) {
+        s += String.fromCharCode(0x61 + ~~(Math.random() * 26));
+      }
+      return s;
+    }
+
+    function assertLevel(input, level, options) {
+      options = options || {};
+      options.level = level;
+      options.method = 'lzss';
+      var compressed = lzjs.compress(input, options);
+      assert.equal(lzjs.decompress(compressed, { strict: true }), input);
+      return compressed;
+    }
+
+    it('matches at the window size', function() {
+      windows.forEach(function(size, i) {
+        var inside = randomAlpha(size);
+        var outside = randomAlpha(size + 1);
+        var compressed = assertLevel(inside + inside, i + 1);
+        var compressedOutside = assertLevel(outside + outside, i + 1);
+        // The repeat at the distance of the window is found, and the one after it is not.
+        assert(compressed.length < compressedOutside.length * 0.7);
+      });
+    });
+
+    it('positions wrap around the chain', function() {
+      var block = randomAlpha(3000);
+      var input = '';
+      for (var i = 0; i < 50; i++) {
+        input += block + randomAlpha(500);
+      }
+
+      var sizes = windows.map(function(size, i) {
+        return assertLevel(input, i + 1).length;
+      });
+      // The block is found again from the level 7 window, after the chain wraps many times.
+      assert(sizes[6] < sizes[5] * 0.5);
+      assert(sizes[8] <= sizes[6]);
+    });
+
+    it('chain limit', function() {
+      var target = 'xy' + randomAlpha(60);
+
+      [6, 7, 8, 9].forEach(function(level) {
+        var limit = chains[level - 1];
+        [limit - 1, limit, limit + 1].forEach(function(n) {
+          // Each 'xy' is an entry in the chain of the target.
+          var input = target;
+          for (var i = 0; i < n; i++) {
+            input += 'xy' + randomAlpha(1).toUpperCase();
+          }
+          input += '#' + target;
+          // Every input fits in the window of the level.
+          assert(input.length <= windows[level - 1]);
+          assertLevel(input, level);
+        });
+      });
+    });
+
+    it('matches at BUFFER_MAX', function() {
+      [119, 120, 121, 239, 240, 241].forEach(function(length) {
+        var block = randomAlpha(length);
+        var input = '#' + block + block + block;
+        [1, 5, 6, 9].forEach(function(level) {
+          var compressed = assertLevel(input, level);
+          var info = lzjs.inspect(compressed);
+          // Without the header a match is split at BUFFER_MAX.
+          assert(info.matches >= Math.ceil(length * 2 / 120));
+          assert.equal(info.decodedLength, input.length);
+
+          compressed = assertLevel(input, level, { header: true });
+          assert.equal(lzjs.inspect(compressed).decodedLength, input.length);
+        });
+      });
+    });
+  });
+
+  describe('lazy matching and optimal parsing', function() {
+    var inputs;
+
+    before(function() {
+      var mixed = '';
+      for (var i = 0; i < 300; i++) {
+        mixed += 'abc' + (i % 7) + '\u3042\u3044' + String.fromCharCode(0x61 + (i * 13) % 26) +
+          (i % 3 ? '\u3046' : 'xyz') + '\u6f22\u5b57\ud83d\ude00';
+      }
+      inputs = [new Array(1000).join('hello world '), tests.code.toString(), mixed];
+    });
+
+    it('compress each parsing by LZSS', function() {
+      return Promise.all([6, 7, 8, 9].map(function(level) {
+        return Promise.all(inputs.map(function(input) {
+          return lzjs.compressAsync(input, { level: level }).then(function(compressed) {
+            assert.equal(compressed.charAt(0), 'S');
+            assert.equal(lzjs.decompress(compressed), input);
+
+            var decompressor = lzjs.createDecompressor();
+            var output = '';
+            for (var i = 0; i < compressed.length; i++) {
+              output += decompressor.push(compressed.charAt(i));
+            }
+            output += decompressor.end();
+            assert.equal(output, input);
+          });
+        }));
+      }));
+    });
+
+    it('optimal parsing of the small writes in the stream', function(done) {
+      var input = tests.code.toString().slice(0, 20000);
+      var compressed = lzjs.compress(input, { level: 9, method: 'lzss' });
+      var sizes = [1, 7, 100, 1000];
+      var count = 0;
+
+      sizes.forEach(function(size) {
+        var transform = lzjs.createCompressStream({ level: 9 });
+        var outputs = [];
+        transform.on('data', function(chunk) {
+          outputs.push(chunk);
+        });
+        transform.on('end', function() {
+          var output = Buffer.concat(outputs).toString();
+          // The matches are not cut at each write.
+          assert(output.length <= compressed.length * 1.01);
+          assert.equal(lzjs.decompress(output), input);
+          if (++count === sizes.length) {
+            done();
+          }
+        });
+        for (var i = 0; i < input.length; i += size) {
+          transform.write(input.slice(i, i + size));
+        }
+        transform.end();
+      });
+    });
+
+    it('optimal parsing is not larger than greedy or lazy matching', function() {
+      // These fit in the window and the chain of every level, so only the parsing differs.
+      var shorts = [
+        'abcabcdabcdeabcdefabcdefg abcdefg abcdef abcde abcd abc',
+        'hello world, hello lzjs, hello world lzjs, world hello',
+        '\u3042\u3044\u3046\u3042\u3044\u3048\u3042\u3044\u3046\u304a\u3044\u3046\u3048\u304a',
+        new Array(8).join('ab\u6f22\u5b57c') + 'ab\u6f22cd\u5b57ab\u6f22\u5b57cab'
+      ];
+
+      shorts.forEach(function(input) {
+        var results = [5, 6, 9].map(function(level) {
+          var compressed = lzjs.compress(input, { level: level, method: 'lzss' });
+          assert.equal(compressed.charAt(0), 'S');
+          assert.equal(lzjs.decompress(compressed), input);
+          return compressed;
+        });
+        // Only the level 9 has the token of the level and the window size (3 characters).
+        assert(results[2].length - 3 <= results[0].length);
+        assert(results[2].length - 3 <= results[1].length);
+      });
+    });
+  });
+
+  describe('dictionary', function() {
+    var dictionary = '{"id":,"name":"","description":"","created_at":"","status":"active"}' +
+      '<div class="container"><ul class="list"><li class="item"></li></ul></div>';
+    var json = '{"id":12,"name":"foo","description":"bar","status":"active"}';
+
+    it('compress/decompress with a dictionary', function() {
+      var compressed = lzjs.compress(json, { dictionary: dictionary });
+      assert.equal(compressed.charAt(0), 'S');
+      assert(compressed.length < lzjs.compress(json).length);
+      assert.equal(lzjs.decompress(compressed, { dictionary: dictionary }), json);
+
+      for (var level = 1; level <= 9; level++) {
+        compressed = lzjs.compress(json, { dictionary: dictionary, level: level });
+        assert.equal(lzjs.decompress(compressed, { dictionary: dictionary }), json);
+      }
+    });
+
+    it('references the whole of a large dictionary', function() {
+      var large = '';
+      for (var i = 0; i < 2000; i++) {
+        large += String.fromCharCode(0x61 + (i * 7) % 26) + i;
+      }
+      var data = large.slice(0, 200) + '\u3042' + large.slice(-200);
+      var compressed = lzjs.compress(data, { dictionary: large });
+      assert(compressed.length < 40);
+      assert.equal(lzjs.decompress(compressed, { dictionary: large }), data);
+    });
+
+    it('throws with a wrong dictionary', function() {
+      var compressed = lzjs.compress(json, { dictionary: dictionary });
+      assert.throws(function() {
+        lzjs.decompress(compressed, { dictionary: dictionary + ' ' });
+      }, /Dictionary mismatch/);
+      assert.throws(function() {
+        lzjs.decompress(compressed);
+      }, /Dictionary is required/);
+      assert.throws(function() {
+        lzjs.decompress(lzjs.compress('\u3042\u3044\u3046\u3042\u3044\u3046'), { dictionary: dictionary });
+      }, /not compressed with the dictionary/);
+    });
+
+    it('stream and async with a dictionary', function() {
+      var compressed = lzjs.compress(json, { dictionary: dictionary });
+      var decompressor = lzjs.createDecompressor({ dictionary: dictionary });
+      var output = '';
+      for (var i = 0; i < compressed.length; i++) {
+        output += decompressor.push(compressed.charAt(i));
+      }
+      output += decompressor.end();
+      assert.equal(output, json);
+
+      return lzjs.compressAsync(json, { dictionary: dictionary }).then(function(compressed) {
+        return lzjs.decompressAsync(compressed, { dictionary: dictionary });
+      }).then(function(decompressed) {
+        assert.equal(decompressed, json);
+      });
+    });
+  });
+
+  describe('trainDictionary', function() {
+    var samples = [];
+
+    before(function() {
+      var names = ['alice', 'bob', 'carol', 'dave'];
+      for (var i = 0; i < 100; i++) {
+        samples.push(JSON.stringify({
+          id: i,
+          name: names[i % names.length],
+          email: names[i % names.length] + i + '@example.com',
+          status: i % 3 ? 'active' : 'inactive',
+          created_at: '2020-01-0' + (i % 9 + 1) + 'T00:00:00Z'
+        }));
+      }
+    });
+
+    it('train a dictionary that improves short data', function() {
+      var dictionary = lzjs.trainDictionary(samples.slice(0, 80));
+      assert(dictionary.length > 0);
+      assert(dictionary.length <= 1024);
+
+      var size = 0;
+      var dictionarySize = 0;
+      samples.slice(80).forEach(function(sample) {
+        var compressed = lzjs.compress(sample, { dictionary: dictionary });
+        assert.equal(lzjs.decompress(compressed, { dictionary: dictionary }), sample);
+        dictionarySize += compressed.length;
+        size += lzjs.compress(sample).length;
+      });
+      assert(dictionarySize < size * 0.6);
+    });
+
+    it('size option', function() {
+      var dictionary = lzjs.trainDictionary(samples, { size: 100 });
+      assert(dictionary.length > 0);
+      assert(dictionary.length <= 100);
+    });
+
+    it('no common substrings', function() {
+      assert.equal(lzjs.trainDictionary([]), '');
+      assert.equal(lzjs.trainDictionary(['abcdefgh', '12345678']), '');
+    });
+  });
+
+  describe('checksum', function() {
+    var inputs;
+
+    before(function() {
+      inputs = [
+        tests.hello,
+        new Array(50).join('\u3042\u3044\u3046\u3048\u304a\ud83d\ude00'),
+        tests.code.toString()
+      ];
+    });
+
+    it('compress/decompress with checksum', function() {
+      inputs.forEach(function(input) {
+        var compressed = lzjs.compress(input, { checksum: true });
+        assert.equal(compressed.indexOf('\u001fLZ'), 0);
+        assert.equal(lzjs.decompress(compressed), input);
+        assert.equal(lzjs.decompressFromBase64(lzjs.compressToBase64(input, { checksum: true })), input);
+
+        var decompressor = lzjs.createDecompressor();
+        var output = '';
+        for (var i = 0; i < compressed.length; i++) {
+          output += decompressor.push(compressed.charAt(i));
+        }
+        output += decompressor.end();
+        assert.equal(output, input);
+      });
+    });
+
+    it('throws on truncated data', function() {
+      inputs.forEach(function(input) {
+        var compressed = lzjs.compress(input, { checksum: true });
+        var truncated = compressed.slice(0, -2);
+        assert.throws(function() {
+          lzjs.decompress(truncated);
+        }, /Length mismatch/);
+        assert.throws(function() {
+          var decompressor = lzjs.createDecompressor();
+          decompressor.push(truncated);
+          decompressor.end();
+        }, /Length mismatch/);
+        assert.throws(function() {
+          lzjs.decompress(compressed.slice(0, 3));
+        }, /Invalid header|Length mismatch/);
+      });
+    });
+
+    it('throws on corrupted data', function() {
+      var input = 'abcdefghijklmnopqrstuvwxyz';
+      var compressed = lzjs.compress(input, { checksum: true });
+      var corrupted = compressed.slice(0, -1) + 'y';
+      assert.equal(lzjs.decompress(compressed.slice(0, -1) + 'z'), input);
+      assert.throws(function() {
+        lzjs.decompress(corrupted);
+      }, /Checksum mismatch/);
+    });
+
+    it('compressAsync with checksum', function() {
+      var input = inputs[1];
+      return lzjs.compressAsync(input, { checksum: true }).then(function(compressed) {
+        assert.equal(compressed.indexOf('\u001fLZ'), 0);
+        return lzjs.decompressAsync(compressed);
+      }).then(function(decompressed) {
+        assert.equal(decompressed, input);
+      });
+    });
+  });
+
+  describe('header', function() {
+    it('compress/decompress with header', function() {
+      var inputs = [tests.hello, new Array(10).join('\u3042\u3044\u3046'), '\u001fLZ'];
+      inputs.forEach(function(input) {
+        [{ header: true }, { header: true, level: 9 }, { checksum: true, dictionary: 'abc' }].forEach(function(options) {
+          var compressed = lzjs.compress(input, options);
+          assert.equal(compressed.indexOf('\u001fLZB'), 0);
+          assert.equal(lzjs.decompress(compressed, options), input);
+
+          var decompressor = lzjs.createDecompressor(options);
+          var output = '';
+          for (var i = 0; i < compressed.length; i++) {
+            output += decompressor.push(compressed.charAt(i));
+          }
+          output += decompressor.end();
+          assert.equal(output, input);
+
+          var bytes = lzjs.compressBytes(Buffer.from(input), options);
+          assert.equal(Buffer.from(lzjs.decompressBytes(bytes, options)).toString(), input);
+        });
+      });
+    });
+
+    it('no header by default', function() {
+      assert.equal(lzjs.compress('abcabcabcabcabcabc'), 'Wabc\u0080\u0082\u0081\u0083\u0086\u0081');
+    });
+
+    it('decompress legacy data', function() {
+      assert.equal(lzjs.decompress('WHello World. \u0080\u0082\u0084\u0086\u0088\u008a'),
+        'Hello World. Hello World.');
+      assert.equal(lzjs.decompress('S5\u0011\'\u001a)\u001a+\u001a6\u0003\u0006'),
+        '\u3042\u3044\u3046\u3042\u3044\u3046\u3042\u3044\u3046');
+      assert.equal(lzjs.decompressFromBase64('V2FiY8KAwoLCgcKDwobCgQ=='), 'abcabcabcabcabcabc');
+      assert.equal(lzjs.decompress('Cat'), 'Cat');
+
+      ['Cat', 'CAA', 'Cabinet'].forEach(function(data) {
+        var decompressor = lzjs.createDecompressor();
+        assert.equal(decompressor.push(data) + decompressor.end(), data);
+      });
+    });
+
+    it('throws on unknown version and method', function() {
+      assert.throws(function() {
+        lzjs.decompress('\u001fLZCSAA');
+      }, /Unsupported format version/);
+      assert.throws(function() {
+        lzjs.decompress('\u001fLZBXAA');
+      }, /Unknown method/);
+      assert.throws(function() {
+        lzjs.decompress('\u001fLZB');
+      }, /Invalid header/);
+    });
+
+    it('throws on the string methods in binary', function() {
+      var compressed = lzjs.compress(new Array(50).join('hello world '),
+        { header: true, method: 'lzss-huffman' });
+      assert.equal(compressed.indexOf('\u001fLZBH'), 0);
+      assert.throws(function() {
+        lzjs.decompressBytes(Buffer.from(compressed));
+      }, function(e) {
+        return e instanceof lzjs.LZJSError && e.code === 'E_BAD_TYPE' && e.offset === 4;
+      });
+    });
+
+    it('throws without the dictionary', function() {
+      var compressed = lzjs.compress('abcabcabcabcabc', { header: true, dictionary: 'abc' });
+      assert.throws(function() {
+        lzjs.decompress(compressed);
+      }, /Dictionary is required/);
+    });
+  });
+
+  describe('strict', function() {
+    function assertError(func, code, offset) {
+      assert.throws(func, function(e) {
+        assert(e instanceof lzjs.LZJSError);
+        assert(e instanceof Error);
+        assert.equal(e.code, code);
+        if (offset != null) {
+          assert.equal(e.offset, offset);
+        }
+        return true;
+      });
+    }
+
+    var lzss;
+
+    before(function() {
+      lzss = lzjs.compress(new Array(10).join('\u3042\u3044\u3046\u3048\u304a'));
+      assert.equal(lzss.charAt(0), 'S');
+    });
+
+    it('valid data', function() {
+      var inputs = [tests.hello, new Array(10).join('hello '), lzss, tests.code.toString()];
+      inputs.forEach(function(input) {
+        var compressed = lzjs.compress(input);
+        assert.equal(lzjs.decompress(compressed, { strict: true }), input);
+        assert.equal(lzjs.decompressFromBase64(lzjs.compressToBase64(input), { strict: true }), input);
+      });
+    });
+
+    it('E_BAD_TYPE', function() {
+      assert.equal(lzjs.decompress('Qabc'), 'Qabc');
+      assertError(function() {
+        lzjs.decompress('Qabc', { strict: true });
+      }, 'E_BAD_TYPE', 0);
+      assertError(function() {
+        lzjs.decompress(lzss.slice(0, 3) + '\n' + lzss.slice(4), { strict: true });
+      }, 'E_BAD_TYPE', 3);
+      assertError(function() {
+        var decompressor = lzjs.createDecompressor({ strict: true });
+        decompressor.push('Qabc');
+      }, 'E_BAD_TYPE', 0);
+    });
+
+    it('E_TRUNCATED', function() {
+      assertError(function() {
+        lzjs.decompress(lzss.slice(0, -1), { strict: true });
+      }, 'E_TRUNCATED');
+      assertError(function() {
+        var decompressor = lzjs.createDecompressor({ strict: true });
+        decompressor.push(lzss.slice(0, -1));
+        decompressor.end();
+      }, 'E_TRUNCATED');
+    });
+
+    it('E_BAD_REFERENCE', function() {
+      // Far back-reference to the distance 14400
+      assertError(function() {
+        lzjs.decompress('SA\u0000\u0000\u0005', { strict: true });
+      }, 'E_BAD_REFERENCE', 4);
+      // LZW code that is not defined yet
+      assertError(function() {
+        lzjs.decompress('Wab\u0700', { strict: true });
+      }, 'E_BAD_REFERENCE', 3);
+    });
+
+    it('E_BAD_UTF8', function() {
+      assertError(function() {
+        lzjs.decompress('U\u00ff', { strict: true });
+      }, 'E_BAD_UTF8');
+      assertError(function() {
+        lzjs.decompress('U\u00e3\u0081', { strict: true });
+      }, 'E_TRUNCATED');
+    });
+  });
+
+  describe('maxOutputLength/maxRatio', function() {
+    var inputs;
+
+    before(function() {
+      inputs = [
+        new Array(100001).join('a'),
+        new Array(100001).join('\u3042'),
+        new Array(10001).join('hello \u3042 ')
+      ];
+    });
+
+    function assertLimit(func) {
+      assert.throws(func, function(e) {
+        assert(e instanceof lzjs.LZJSError);
+        assert.equal(e.code, 'E_OUTPUT_LIMIT');
+        return true;
+      });
+    }
+
+    it('maxOutputLength', function() {
+      inputs.forEach(function(input) {
+        var compressed = lzjs.compress(input);
+        assertLimit(function() {
+          lzjs.decompress(compressed, { maxOutputLength: 1000 });
+        });
+        assertLimit(function() {
+          lzjs.decompress(compressed, { maxOutputLength: input.length - 1 });
+        });
+        assertLimit(function() {
+          lzjs.decompressFromBase64(lzjs.compressToBase64(input), { maxOutputLength: 1000 });
+        });
+        assertLimit(function() {
+          lzjs.decompress(lzjs.compress(input, { header: true }), { maxOutputLength: 1000 });
+        });
+        assert.equal(lzjs.decompress(compressed, { maxOutputLength: input.length }), input);
+      });
+
+      assertLimit(function() {
+        lzjs.decompress('Nabcdef', { maxOutputLength: 5 });
+      });
+    });
+
+    it('maxRatio', function() {
+      inputs.forEach(function(input) {
+        var compressed = lzjs.compress(input);
+        assertLimit(function() {
+          lzjs.decompress(compressed, { maxRatio: 10 });
+        });
+        assert.equal(lzjs.decompress(compressed, {
+          maxRatio: input.length / compressed.length + 1
+        }), input);
+      });
+    });
+  });
+
+  describe('compressToEncodedURIComponent/compressToBase85', function() {
+    var inputs;
+
+    before(function() {
+      inputs = ['a', 'ab', 'abc', 'abcd', tests.hello, new Array(30).join('\u3042\u3044\ud83d\ude00'),
+        tests.code.toString(), tests.randoms[0].slice(0, 1000)];
+    });
+
+    it('URL-safe', function() {
+      inputs.forEach(function(input) {
+        var compressed = lzjs.compressToEncodedURIComponent(input);
+        assert(/^[A-Za-z0-9_-]*$/.test(compressed));
+        assert.equal(encodeURIComponent(compressed), compressed);
+        assert.equal(lzjs.decompressFromEncodedURIComponent(compressed), input);
+      });
+    });
+
+    it('cookie-safe', function() {
+      inputs.forEach(function(input) {
+        var compressed = lzjs.compressToBase85(input);
+        // cookie-octet in RFC 6265
+        assert(/^[\x21\x23-\x2b\x2d-\x3a\x3c-\x5b\x5d-\x7e]*$/.test(compressed));
+        assert(compressed.length <= lzjs.compressToBase64(input).length);
+        assert.equal(lzjs.decompressFromBase85(compressed), input);
+      });
+    });
+
+    it('ignore whitespace and line breaks', function() {
+      inputs.forEach(function(input) {
+        var compressed = lzjs.compressToEncodedURIComponent(input).replace(/(.{7})/g, '$1\r\n ');
+        assert.equal(lzjs.decompressFromEncodedURIComponent(compressed), input);
+
+        compressed = lzjs.compressToBase85(input).replace(/(.{7})/g, '$1\n\t');
+        assert.equal(lzjs.decompressFromBase85(compressed), input);
+      });
+    });
+
+    it('reject non-ASCII characters', function() {
+      function assertBadType(func, offset) {
+        assert.throws(func, function(e) {
+          assert(e instanceof lzjs.LZJSError);
+          assert.equal(e.code, 'E_BAD_TYPE');
+          assert.equal(e.offset, offset);
+          return true;
+        });
+      }
+
+      var base85 = lzjs.compressToBase85(tests.hello);
+      var base64 = lzjs.compressToBase64(tests.hello);
+      var url = lzjs.compressToEncodedURIComponent(tests.hello);
+      // U+0130 and U+0141 have the low bytes of '0' and 'A'.
+      assertBadType(function() {
+        lzjs.decompressFromBase85(base85.slice(0, 5) + '\u0130' + base85.slice(5));
+      }, 5);
+      assertBadType(function() {
+        lzjs.decompressFromBase64('\u0141' + base64);
+      }, 0);
+      assertBadType(function() {
+        lzjs.decompressFromEncodedURIComponent(url.slice(0, 2) + '\u0141' + url.slice(2));
+      }, 2);
+    });
+  });
+
+  describe('compressToUTF16/decompressFromUTF16', function() {
+    var inputs;
+
+    before(function() {
+      var unicode = '';
+      for (var i = 0; i < 0xd800; i += 3) {
+        unicode += String.fromCharCode(i);
+      }
+      inputs = ['a', tests.hello, new Array(30).join('\u3042\u3044\ud83d\ude00'),
+        tests.code.toString(), unicode];
+    });
+
+    it('compress/decompress', function() {
+      inputs.forEach(function(input) {
+        var compressed = lzjs.compressToUTF16(input);
+        assert.equal(lzjs.decompressFromUTF16(compressed), input);
+        assert.equal(lzjs.decompressFromUTF16(compressed, { strict: true }), input);
+      });
+      assert.equal(lzjs.compressToUTF16(''), '');
+      assert.equal(lzjs.decompressFromUTF16(''), '');
+    });
+
+    it('valid code units', function() {
+      inputs.forEach(function(input) {
+        var compressed = lzjs.compressToUTF16(input);
+        for (var i = 0; i < compressed.length; i++) {
+          var c = compressed.charCodeAt(i);
+          assert(c >= 0x20);
+          assert(c < 0xd800 || c > 0xdfff);
+        }
+      });
+    });
+
+    it('denser than compress', function() {
+      var input = new Array(100).join('\u3042\u3044\u3046' + tests.hello);
+      var compressed = lzjs.compress(input, { method: 'lzss' });
+      assert.equal(compressed.charAt(0), 'S');
+      assert(lzjs.compressToUTF16(input).length < compressed.length * 0.5);
+      assert(lzjs.compressToUTF16(tests.code).length < lzjs.compress(tests.code).length * 0.8);
+    });
+  });
+  describe('alphabet', function() {
+    var unsafe = {
+      printable: /[\u0000-\u001f\u007f-\u009f\ud800-\udfff]/,
+      json: /[\u0000-\u001f\u007f-\u009f\ud800-\udfff"\\]/,
+      xml: /[\u0000-\u001f\u007f-\u009f\ud800-\udfff"&'<>]/
+    };
+    var inputs;
+
+    before(function() {
+      var unicode = '';
+      for (var i = 0; i < 0xd800; i += 7) {
+        unicode += String.fromCharCode(i);
+      }
+      inputs = ['a', '"<a href=\'#\'>&amp;</a>"\\', tests.hello,
+        new Array(30).join('\u3042\u3044\ud83d\ude00'), tests.code.toString(), unicode];
+    });
+
+    it('compress/decompress', function() {
+      Object.keys(unsafe).forEach(function(alphabet) {
+        inputs.forEach(function(input) {
+          [{}, { level: 9 }, { checksum: true }].forEach(function(options) {
+            options.alphabet = alphabet;
+            var compressed = lzjs.compress(input, options);
+            assert(!unsafe[alphabet].test(compressed));
+            assert.equal(lzjs.decompress(compressed), input);
+            assert.equal(lzjs.decompress(compressed, { strict: true }), input);
+          });
+        });
+      });
+    });
+
+    it('LZSS and base64 types', function() {
+      var compressed = lzjs.compress(tests.code, { alphabet: 'json' });
+      assert.equal(compressed.slice(0, 4), '~LZJ');
+      assert(compressed.length < lzjs.compressToBase64(tests.code).length);
+      assert.equal(lzjs.compress(tests.code, { alphabet: 'xml' }).slice(0, 4), '~LZX');
+      assert.equal(lzjs.compress(tests.hello, { alphabet: 'printable', checksum: true }).slice(0, 4), '~LZB');
+      assert.equal(lzjs.compress('abc', { alphabet: 'xml' }), 'Wabc');
+      assert.equal(JSON.stringify(compressed), '"' + compressed + '"');
+    });
+
+    it('text that is not compressed', function() {
+      ['Paris', 'JSON', 'XML', 'Base64', 'B', '~', '~L', '~LZ', '~LZQ', '~LZ~LZP'].forEach(function(text) {
+        var decompressor = lzjs.createDecompressor();
+        var output = '';
+        for (var i = 0; i < text.length; i++) {
+          output += decompressor.push(text.charAt(i));
+        }
+        assert.equal(lzjs.decompress(text), text);
+        assert.equal(output + decompressor.end(), text);
+        assert.equal(lzjs.inspect(text).method, null);
+        assert.throws(function() {
+          lzjs.decompress(text, { strict: true });
+        }, function(e) {
+          return e.code === 'E_BAD_TYPE';
+        });
+      });
+    });
+
+    it('stream decompressor', function() {
+      return Promise.all(inputs.map(function(input) {
+        var compressed = lzjs.compress(input, { alphabet: 'json' });
+        var decompressor = lzjs.createDecompressor();
+        var output = '';
+        for (var i = 0; i < compressed.length; i += 5) {
+          output += decompressor.push(compressed.slice(i, i + 5));
+        }
+        assert.equal(output + decompressor.end(), input);
+
+        return lzjs.compressAsync(input, { alphabet: 'xml' }).then(function(compressed) {
+          assert(!unsafe.xml.test(compressed));
+          return lzjs.decompressAsync(compressed);
+        }).then(function(output) {
+          assert.equal(output, input);
+        });
+      }));
+    });
+
+    it('unknown alphabet', function() {
+      assert.throws(function() {
+        lzjs.compress('abc', { alphabet: 'html' });
+      }, /Unknown alphabet/);
+    });
+  });
+  describe('method/compressWithInfo', function() {
+    var methods = ['auto', 'best', 'lzss', 'lzw', 'lzw-utf8', 'ppm', 'none'];
+    var unicode = new Array(50).join('\u3042\u3044\u3046' + 'hello');
+
+    it('compress/decompress', function() {
+      methods.forEach(function(method) {
+        [tests.hello, tests.code.toString(), unicode].forEach(function(input) {
+          if (method === 'lzw' && input === unicode) {
+            return;
+          }
+          var compressed = lzjs.compress(input, { method: method });
+          assert.equal(lzjs.decompress(compressed), input);
+        });
+      });
+    });
+
+    it('forced method', function() {
+      assert.equal(lzjs.compress(tests.code, { method: 'lzss' }).charAt(0), 'S');
+      assert.equal(lzjs.compress(tests.code, { method: 'lzw' }).charAt(0), 'W');
+      assert.equal(lzjs.compress(unicode, { method: 'lzw-utf8' }).charAt(0), 'U');
+      assert.equal(lzjs.compress(unicode, { method: 'none' }), 'N' + unicode);
+      assert.equal(lzjs.compress('a', { method: 'lzss' }).charAt(0), 'S');
+      assert.equal(lzjs.compress('a', { method: 'auto' }), lzjs.compress('a'));
+    });
+
+    it('best', function() {
+      [tests.hello, tests.code.toString(), unicode].forEach(function(input) {
+        var best = lzjs.compressWithInfo(input, { method: 'best' });
+        methods.forEach(function(method) {
+          assert(best.outputBytes <= lzjs.compressWithInfo(input, { method: method }).outputBytes);
+        });
+      });
+    });
+
+    it('compressWithInfo', function() {
+      var info = lzjs.compressWithInfo(unicode);
+      assert.equal(info.output, lzjs.compress(unicode));
+      assert.equal(info.method, 'lzss');
+      assert.equal(info.inputBytes, Buffer.byteLength(unicode));
+      assert.equal(info.outputBytes, Buffer.byteLength(info.output));
+      assert.equal(lzjs.compressWithInfo(tests.code).method, 'lzw');
+      assert.equal(lzjs.compressWithInfo(tests.code, { method: 'lzw-utf8', checksum: true }).method, 'lzw-utf8');
+
+      // LZW of the non-ASCII string falls back to the UTF-8 bytes.
+      info = lzjs.compressWithInfo(unicode, { method: 'lzw' });
+      assert.equal(info.method, 'lzw-utf8');
+      assert.equal(info.output.charAt(0), 'U');
+      assert.equal(lzjs.decompress(info.output), unicode);
+      assert.deepEqual(lzjs.compressWithInfo(''), { output: '', method: 'none', inputBytes: 0, outputBytes: 0 });
+    });
+
+    it('invalid method', function() {
+      assert.throws(function() {
+        lzjs.compress('abc', { method: 'deflate' });
+      }, /Unknown method/);
+      assert.throws(function() {
+        lzjs.compress('abc', { method: 'lzw', dictionary: 'abc' });
+      }, /dictionary/);
+    });
+  });
+  describe('inspect', function() {
+    var unicode = new Array(50).join('\u3042\u3044\u3046' + 'hello');
+
+    it('LZSS', function() {
+      [tests.hello, tests.code.toString(), unicode].forEach(function(input) {
+        var compressed = lzjs.compress(input, { method: 'lzss' });
+        var info = lzjs.inspect(compressed);
+        assert.equal(info.method, 'lzss');
+        assert.equal(info.compressedLength, compressed.length);
+        assert.equal(info.decodedLength, input.length);
+        assert.equal(Math.round(info.literals + info.matches * info.averageMatchLength), input.length);
+        assert.deepEqual(lzjs.inspect(lzjs.compress(input, { method: 'lzss', alphabet: 'json' })),
+          Object.assign({}, info, { alphabet: 'json', compressedLength: compressed.length + 3 }));
+      });
+      assert.equal(lzjs.inspect(lzjs.compress(tests.code, { level: 9, method: 'lzss' })).windowSize, 32768);
+    });
+
+    it('LZW', function() {
+      var info = lzjs.inspect(lzjs.compress(tests.code, { method: 'lzw' }));
+      assert.equal(info.method, 'lzw');
+      assert.equal(info.decodedLength, tests.code.length);
+      assert(info.dictionarySize > 0);
+
+      info = lzjs.inspect(lzjs.compress(unicode, { method: 'lzw-utf8' }));
+      assert.equal(info.method, 'lzw-utf8');
+      assert.equal(info.decodedLength, null);
+      assert.equal(info.decodedBytes, Buffer.byteLength(unicode));
+      assert.equal(lzjs.inspect(lzjs.compress(unicode, { method: 'lzw-utf8', header: true })).decodedLength,
+        unicode.length);
+    });
+
+    it('header, dictionary and others', function() {
+      var dictionary = unicode.slice(0, 100);
+      var info = lzjs.inspect(lzjs.compress(unicode, { checksum: true, level: 9, alphabet: 'xml' }));
+      assert.equal(info.alphabet, 'base64');
+      assert.equal(info.header.length, unicode.length);
+      assert.equal(info.header.level, 9);
+      assert.equal(typeof info.header.checksum, 'number');
+      assert.equal(info.decodedLength, unicode.length);
+
+      info = lzjs.inspect(lzjs.compress(unicode, { dictionary: dictionary }));
+      assert.equal(info.decodedLength, unicode.length);
+      assert(info.dictionaryId > 0);
+
+      assert.equal(lzjs.inspect(lzjs.compress(unicode, { method: 'none' })).decodedLength, unicode.length);
+      assert.equal(lzjs.inspect('hello').method, null);
+      assert.equal(lzjs.inspect('').decodedLength, 0);
+    });
+  });
+  describe('estimate', function() {
+    var code, large;
+
+    before(function() {
+      // Smaller than the samples of the estimate as this file grows
+      code = tests.code.toString().slice(0, 32768);
+      var items = [];
+      for (var i = 0; i < 5000; i++) {
+        items.push({ id: i, name: 'user' + i, active: i % 3 === 0, score: i * 37 % 1000 });
+      }
+      large = JSON.stringify(items);
+    });
+
+    it('small data is exact', function() {
+      [tests.hello, code].forEach(function(input) {
+        var estimate = lzjs.estimate(input);
+        assert.equal(estimate.bytes, lzjs.compressWithInfo(input).outputBytes);
+        assert.equal(estimate.error, 0);
+        assert.equal(estimate.inputBytes, Buffer.byteLength(input));
+      });
+      assert.equal(lzjs.estimate('').bytes, 0);
+    });
+
+    it('large data is sampled', function() {
+      ['auto', 'lzss'].forEach(function(method) {
+        var estimate = lzjs.estimate(large, { method: method });
+        var bytes = lzjs.compressWithInfo(large, { method: method }).outputBytes;
+        assert(estimate.error > 0);
+        assert(estimate.error < estimate.bytes);
+        assert(Math.abs(estimate.bytes - bytes) <= estimate.error);
+      });
+
+      // The samples do not grow with the window of the level.
+      assert(lzjs.estimate(large, { level: 9 }).error > 0);
+    });
+
+    it('fitsIn', function() {
+      [tests.hello, code, large].forEach(function(input) {
+        ['auto', 'best', 'lzss', 'lzw-utf8', 'none'].forEach(function(method) {
+          var bytes = lzjs.compressWithInfo(input, { method: method }).outputBytes;
+          var estimate = lzjs.estimate(input, { method: method });
+          assert.equal(estimate.fitsIn(bytes), true);
+          assert.equal(estimate.fitsIn(bytes - 1), false);
+          assert.equal(estimate.fitsIn(bytes * 2), true);
+          assert.equal(estimate.fitsIn(bytes >> 1), false);
+        });
+      });
+    });
+
+    it('fitsIn with the options', function() {
+      // Larger than the samples, so fitsIn compresses them.
+      var unicode = new Array(7000).join('\u3042\u3044\u3046\u6f22\u5b57 abc' + Math.random());
+      [tests.code.toString().slice(0, 70000), unicode].forEach(function(input) {
+        assert(lzjs.estimate(input).error > 0);
+        [{ level: 7 }, { header: true }, { alphabet: 'json' }].forEach(function(options) {
+          var bytes = lzjs.compressWithInfo(input, options).outputBytes;
+          var estimate = lzjs.estimate(input, options);
+          assert.equal(estimate.fitsIn(bytes), true);
+          assert.equal(estimate.fitsIn(bytes - 1), false);
+        });
+      });
+    });
+  });
+  describe('lone surrogates and astral characters', function() {
+    var seed = 0x2545f491;
+
+    // xorshift32 to reproduce the failures
+    function random(n) {
+      seed ^= seed << 13;
+      seed ^= seed >>> 17;
+      seed ^= seed << 5;
+      return (seed >>> 0) % n;
+    }
+
+    function randomUTF16(length) {
+      var s = '';
+      var c;
+      for (var i = 0; i < length; i++) {
+        switch (random(6)) {
+          case 0: s += String.fromCharCode(0xd800 + random(0x400)); break; // High surrogate
+          case 1: s += String.fromCharCode(0xdc00 + random(0x400)); break; // Low surrogate
+          case 2:
+            c = 0x10000 + random(0x100000);
+            s += String.fromCharCode(0xd800 + (c - 0x10000 >> 10), 0xdc00 + (c & 0x3ff));
+            break;
+          case 3: s += String.fromCharCode(random(0x10000)); break;
+          default: s += 'abc '.charAt(random(4)); break;
+        }
+      }
+      return s;
+    }
+
+    function decompressByStream(compressed) {
+      var decompressor = lzjs.createDecompressor({ strict: true });
+      var output = '';
+      var size;
+      for (var i = 0; i < compressed.length; i += size) {
+        size = 1 + random(8);
+        output += decompressor.push(compressed.slice(i, i + size));
+      }
+      return output + decompressor.end();
+    }
+
+    it('edge cases', function() {
+      ['\ud800', '\udfff', 'a\udc00\ud800b', '\ud800\ud800\udc00', '\udbff\udfff',
+        '\ud83d', new Array(100).join('x\ud83d')].forEach(function(input) {
+        ['auto', 'lzss', 'lzw-utf8'].forEach(function(method) {
+          var compressed = lzjs.compress(input, { method: method });
+          assert.equal(lzjs.decompress(compressed, { strict: true }), input);
+        });
+      });
+    });
+
+    it('random UTF-16 round-trips', function() {
+      for (var i = 0; i < 300; i++) {
+        var input = randomUTF16(1 + random(200));
+        ['auto', 'lzss', 'lzw-utf8'].forEach(function(method) {
+          var compressed = lzjs.compress(input, { method: method });
+          assert.equal(lzjs.decompress(compressed, { strict: true }), input);
+          assert.equal(decompressByStream(compressed), input);
+        });
+        assert.equal(lzjs.decompressFromUTF16(lzjs.compressToUTF16(input)), input);
+      }
+    });
+
+    it('surrogate pair of 3 bytes', function() {
+      // LZW codes of UTF-8 bytes that encode the high and low surrogates separately
+      var compressed = 'U\u00ed\u00a0\u0080\u00ed\u00b0\u0080';
+      assert.equal(lzjs.decompress(compressed), '\ud800\udc00');
+      assert.throws(function() {
+        lzjs.decompress(compressed, { strict: true });
+      }, function(e) {
+        return e instanceof lzjs.LZJSError && e.code === 'E_BAD_UTF8';
+      });
+    });
+  });
+  describe('lzss-huffman', function() {
+    var inputs;
+
+    before(function() {
+      inputs = ['a', tests.hello, new Array(100).join('\u3042\u3044\u3046' + tests.hello),
+        tests.code.toString(), new Array(5000).join('a')];
+    });
+
+    it('compress/decompress', function() {
+      inputs.forEach(function(input) {
+        [{}, { level: 9 }, { dictionary: tests.hello }].forEach(function(options) {
+          options.method = 'lzss-huffman';
+          var compressed = lzjs.compress(input, options);
+          assert.equal(compressed.indexOf('\u001fLZ'), 0);
+          assert.equal(lzjs.inspect(compressed).method, 'lzss-huffman');
+          assert.equal(lzjs.decompress(compressed, { strict: true, dictionary: options.dictionary }), input);
+
+          var decompressor = lzjs.createDecompressor({ strict: true, dictionary: options.dictionary });
+          var output = '';
+          for (var i = 0; i < compressed.length; i += 7) {
+            output += decompressor.push(compressed.slice(i, i + 7));
+          }
+          assert.equal(output + decompressor.end(), input);
+        });
+      });
+    });
+
+    it('auto selection', function() {
+      var input = tests.code.toString().replace(/[a-z]/g, function(c) {
+        return String.fromCharCode(c.charCodeAt(0) + 0x3000);
+      });
+      var compressed = lzjs.compress(input, { header: true });
+      assert.equal(lzjs.inspect(compressed).method, 'lzss-huffman');
+      assert(compressed.length < lzjs.compress(input, { method: 'lzss', header: true }).length * 0.9);
+      assert(Buffer.byteLength(compressed) <
+        Buffer.byteLength(lzjs.compress(input, { method: 'lzw-utf8', header: true })));
+      assert.equal(lzjs.inspect(lzjs.compress(input, { checksum: true })).method, 'lzss-huffman');
+
+      // lzjs 1.x cannot read Huffman, so it is not used without the header.
+      assert.equal(lzjs.compress(input).charAt(0), 'S');
+
+      // LZW is shorter in the characters for ASCII.
+      assert.equal(lzjs.compress(tests.hello).charAt(0), 'W');
+      assert.equal(lzjs.compress(tests.code).charAt(0), 'W');
+    });
+
+    it('invalid data', function() {
+      var compressed = lzjs.compress(tests.code, { method: 'lzss-huffman' });
+      // The payload without the header is not compressed.
+      var bare = compressed.slice(compressed.indexOf('H'));
+      assert.equal(lzjs.decompress(bare), bare);
+      assert.equal(lzjs.decompress('Hello world'), 'Hello world');
+      assert.throws(function() {
+        lzjs.decompress(compressed.slice(0, -10), { strict: true });
+      }, function(e) {
+        return e instanceof lzjs.LZJSError && e.code === 'E_TRUNCATED';
+      });
+      assert.throws(function() {
+        lzjs.decompress(compressed.slice(0, 100) + '\u0100' + compressed.slice(100), { strict: true });
+      }, function(e) {
+        return e instanceof lzjs.LZJSError && e.code === 'E_BAD_TYPE';
+      });
+
+      // Every code length is 1, so the codes are over-subscribed.
+      var bits = new Array(123).join('0001') + '00';
+      var table = '';
+      for (var i = 0; i < bits.length; i += 7) {
+        table += String.fromCharCode(parseInt(bits.substr(i, 7), 2));
+      }
+      assert.throws(function() {
+        // Header of 3 characters for Huffman
+        lzjs.decompress('\u001fLZBHAD' + table + 'abc');
+      }, function(e) {
+        return e instanceof lzjs.LZJSError && e.code === 'E_BAD_TYPE';
+      });
+    });
+  });
+  describe('deflate/inflate', function() {
+    var zlib = require('zlib');
+    var inputs;
+
+    before(function() {
+      var random = [];
+      var unicode = '';
+      for (var i = 0; i < 100000; i++) {
+        random.push(~~(Math.random() * 256));
+        unicode += String.fromCharCode(i % 0xd800);
+      }
+
+      inputs = ['', 'a', tests.hello, tests.code.toString(), unicode,
+        new Array(70000).join('\u3042'), Buffer.from(random)];
+    });
+
+    function toBuffer(input) {
+      return typeof input === 'string' ? Buffer.from(input, 'utf8') : input;
+    }
+
+    it('can be read by zlib', function() {
+      inputs.forEach(function(input) {
+        [{}, { level: 1 }, { level: 9 }].forEach(function(options) {
+          var compressed = lzjs.deflate(input, options);
+          assert(compressed instanceof Uint8Array);
+          assert.deepEqual(zlib.inflateSync(Buffer.from(compressed)), toBuffer(input));
+
+          options.raw = true;
+          compressed = lzjs.deflate(input, options);
+          assert.deepEqual(zlib.inflateRawSync(Buffer.from(compressed)), toBuffer(input));
+        });
+      });
+    });
+
+    it('reads zlib', function() {
+      inputs.forEach(function(input) {
+        [0, 1, 6, 9].forEach(function(level) {
+          var buffer = toBuffer(input);
+          var compressed = zlib.deflateSync(buffer, { level: level });
+          assert.deepEqual(Buffer.from(lzjs.inflate(compressed)), buffer);
+
+          compressed = zlib.deflateRawSync(buffer, { level: level });
+          assert.deepEqual(Buffer.from(lzjs.inflate(compressed, { raw: true })), buffer);
+        });
+      });
+    });
+
+    it('compresses like zlib', function() {
+      var buffer = toBuffer(tests.code.toString());
+      assert(lzjs.deflate(buffer).length < zlib.deflateSync(buffer).length * 1.05);
+    });
+
+    it('decodes to string', function() {
+      var input = new Array(100).join('\u3042\ud83d\ude00' + tests.hello);
+      assert.equal(lzjs.inflate(lzjs.deflate(input), { to: 'string' }), input);
+    });
+
+    it('invalid data', function() {
+      var compressed = lzjs.deflate(tests.code.toString());
+
+      [
+        [compressed.slice(0, -10), 'E_TRUNCATED'],
+        [Buffer.concat([Buffer.from(compressed.slice(0, -1)), Buffer.from([0])]), 'E_CHECKSUM'],
+        [Buffer.from([0x78, 0x00]), 'E_BAD_TYPE'],
+        [Buffer.from([0x78, 0xbb, 0, 0, 0, 1]), 'E_BAD_TYPE']
+      ].forEach(function(test) {
+        assert.throws(function() {
+          lzjs.inflate(test[0]);
+        }, function(e) {
+          return e instanceof lzjs.LZJSError && e.code === test[1];
+        });
+      });
+
+      assert.throws(function() {
+        lzjs.inflate(compressed, { maxOutputLength: 100 });
+      }, function(e) {
+        return e instanceof lzjs.LZJSError && e.code === 'E_OUTPUT_LIMIT';
+      });
+      assert.throws(function() {
+        lzjs.deflate('a', { level: 10 });
+      }, /Invalid compression level/);
+    });
+  });
+  describe('ppm', function() {
+    var inputs;
+
+    before(function() {
+      inputs = [tests.hello, tests.code.toString(), new Array(100).join('\u3042\u3044\u3046' + tests.hello),
+        new Array(50).join('lone \ud800 surrogates \udc00 \ud83d\ude00\n'), new Array(5000).join('a')];
+    });
+
+    it('compress/decompress', function() {
+      inputs.forEach(function(input) {
+        [{}, { checksum: true }, { alphabet: 'json' }].forEach(function(options) {
+          options.method = 'ppm';
+          var compressed = lzjs.compress(input, options);
+          assert.equal(lzjs.decompress(compressed, { strict: true }), input);
+
+          var decompressor = lzjs.createDecompressor({ strict: true });
+          var output = '';
+          for (var i = 0; i < compressed.length; i += 7) {
+            output += decompressor.push(compressed.slice(i, i + 7));
+          }
+          assert.equal(output + decompressor.end(), input);
+        });
+      });
+    });
+
+    it('ratio', function() {
+      var info = lzjs.compressWithInfo(tests.code, { method: 'ppm' });
+      assert.equal(info.method, 'ppm');
+      assert.equal(info.output.indexOf('\u001fLZ'), 0);
+      assert(info.outputBytes < lzjs.compressWithInfo(tests.code, { method: 'lzss-huffman' }).outputBytes * 0.8);
+      assert.equal(lzjs.compressWithInfo(tests.code, { method: 'best' }).method, 'ppm');
+    });
+
+    it('falls back to none', function() {
+      var random = '';
+      for (var i = 0; i < 1000; i++) {
+        random += String.fromCharCode(0x20 + ~~(Math.random() * 0x5f));
+      }
+
+      ['a', random].forEach(function(input) {
+        var info = lzjs.compressWithInfo(input, { method: 'ppm' });
+        assert.equal(info.method, 'none');
+        assert.equal(info.output, 'N' + input);
+      });
+    });
+
+    it('invalid data', function() {
+      var compressed = lzjs.compress(tests.code, { method: 'ppm' });
+      var truncated = compressed.slice(0, -100);
+
+      assert.throws(function() {
+        lzjs.decompress(truncated, { strict: true });
+      }, function(e) {
+        return e instanceof lzjs.LZJSError && e.code === 'E_TRUNCATED';
+      });
+      // The header has the original length.
+      assert.throws(function() {
+        lzjs.decompress(truncated);
+      }, function(e) {
+        return e instanceof lzjs.LZJSError && e.code === 'E_TRUNCATED';
+      });
+      assert.throws(function() {
+        lzjs.decompress(compressed.slice(0, 100) + '\u0100' + compressed.slice(100), { strict: true });
+      }, function(e) {
+        return e instanceof lzjs.LZJSError && e.code === 'E_BAD_TYPE';
+      });
+      assert.throws(function() {
+        lzjs.decompress(compressed, { maxOutputLength: 100 });
+      }, function(e) {
+        return e instanceof lzjs.LZJSError && e.code === 'E_OUTPUT_LIMIT';
+      });
+      assert.throws(function() {
+        lzjs.compress('abc', { method: 'ppm', dictionary: 'abc' });
+      }, /dictionary/);
+
+      // The payload without the header is not compressed.
+      var bare = compressed.slice(compressed.indexOf('M'));
+      assert.equal(lzjs.decompress(bare), bare);
+      assert.equal(lzjs.decompress('Message'), 'Message');
+      assert.equal(lzjs.inspect('Message').method, null);
+    });
+
+    it('inspect', function() {
+      var input = new Array(100).join('\u3042\u3044\u3046' + tests.hello);
+      var info = lzjs.inspect(lzjs.compress(input, { method: 'ppm' }));
+      assert.equal(info.method, 'ppm');
+      assert(info.header !== null);
+      assert.equal(info.decodedLength, input.length);
+      assert.equal(info.decodedBytes, null);
+
+      // The payload is not decoded.
+      info = lzjs.inspect(lzjs.compress(input, { method: 'ppm' }).slice(0, -10));
+      assert.equal(info.decodedLength, input.length);
+    });
+  });
+  describe('long matches', function() {
+    var inputs;
+
+    before(function() {
+      inputs = [];
+      [119, 120, 121, 122, 123, 240, 241, 14519, 14520, 14521, 100000].forEach(function(n) {
+        inputs.push(new Array(n + 1).join('a'));
+        inputs.push('x' + new Array(n + 1).join('\u3042\u3044') + 'y');
+      });
+      inputs.push(new Array(2000).join('ab') + new Array(30000).join(' ') + tests.hello);
+    });
+
+    it('compress/decompress', function() {
+      inputs.forEach(function(input) {
+        [1, 6, 9].forEach(function(level) {
+          ['lzss', 'lzss-huffman'].forEach(function(method) {
+            var compressed = lzjs.compress(input, { level: level, method: method, header: true });
+            assert.equal(lzjs.decompress(compressed, { strict: true }), input);
+
+            var decompressor = lzjs.createDecompressor({ strict: true });
+            var output = '';
+            for (var i = 0; i < compressed.length; i += 5) {
+              output += decompressor.push(compressed.slice(i, i + 5));
+            }
+            assert.equal(output + decompressor.end(), input);
+          });
+        });
+      });
+    });
+
+    it('runs in a few characters', function() {
+      var options = { method: 'lzss', header: true };
+      var input = new Array(100001).join('a');
+      assert(lzjs.compress(input, options).length < 60);
+      assert(lzjs.compress(new Array(10001).join('\u3042'), options).length < 35);
+
+      var info = lzjs.inspect(lzjs.compress(new Array(10001).join('a'), options));
+      assert.equal(info.decodedLength, 10000);
+      assert.equal(info.matches, 1);
+      assert.equal(info.averageMatchLength, 9999);
+    });
+
+    it('stream', function(done) {
+      var input = new Array(200001).join('a') + tests.hello + new Array(50001).join('\u3042');
+      lzjs.compressAsync(input, { header: true }).then(function(compressed) {
+        assert(compressed.length < 200);
+        assert.equal(lzjs.decompress(compressed, { strict: true }), input);
+        done();
+      }).catch(done);
+    });
+
+    it('decompress legacy data', function() {
+      var input = new Array(301).join('a') + new Array(201).join('\u3042');
+      var legacy = 'S2\u00166\u0001~6\u0001~6\u0001@5\u0011\'\u001a6\u0001~6\u0001T';
+      assert.equal(lzjs.decompress(legacy, { strict: true }), input);
+      assert.equal(lzjs.compress(input, { method: 'lzss' }), legacy);
+
+      input = new Array(2001).join('a') + new Array(1001).join('\u3042');
+      assert(lzjs.compress(input, { method: 'lzss', header: true }).length * 2 <
+        lzjs.compress(input, { method: 'lzss' }).length);
+    });
+
+    it('no long matches without the header', function() {
+      // lzjs 1.3.0
+      var legacy = require('../lzjs.min');
+      inputs.forEach(function(input) {
+        var compressed = lzjs.compress(input, { method: 'lzss' });
+        assert.equal(legacy.decompress(compressed), input);
+      });
+
+      var input = new Array(200001).join('a');
+      return lzjs.compressAsync(input).then(function(compressed) {
+        assert.equal(legacy.decompress(compressed), input);
+      });
+    });
+  });
 });